@@ -0,0 +1,184 @@
+/**
+ * Availability Sheet Schema
+ *
+ * This file resolves the columns of the "final-availabilities" sheet by header text instead of
+ * fixed positions, so a reordered or reworded form does not silently break scheduling.
+ *
+ * ✅ Usage:
+ *   - Call `readAvailabilitySheet(['email', 'track', 'days'])` to get the sheet rows and a column map
+ *     (`columns.email`, `columns.track`, `columns.days.Monday`, ...).
+ *   - Call `getRowAvailability(row, columns)` to get a row's time slots keyed by day name.
+ *   - Header patterns are case-insensitive regular expressions. The sheet name and pattern overrides
+ *     come from the "Config" sheet (see config.js), so a new form only needs a config edit.
+ *
+ * ⚠️ Notes:
+ *   - Day questions are matched semester-agnostically (any header mentioning availability and ending
+ *     in "[Monday]", "[Tuesday]", ...), so "Spring '25" vs. "Fall '25" wording does not matter.
+ *   - If a required column cannot be found, an error listing every missing column is thrown. For `days`, at
+ *     least one day question is required; days the form does not ask about are logged and have no slots.
+ */
+
+/**
+ * Returns the days of the week covered by the availability form, with their short labels.
+ *
+ * @returns {Array<{name: string, short: string}>} - Day names (e.g., "Monday") and labels used in slot keys (e.g., "Mon").
+ */
+function getAvailabilityDays() {
+  return [
+    { name: "Monday", short: "Mon" },
+    { name: "Tuesday", short: "Tue" },
+    { name: "Wednesday", short: "Wed" },
+    { name: "Thursday", short: "Thu" },
+    { name: "Friday", short: "Fri" },
+    { name: "Saturday", short: "Sat" },
+    { name: "Sunday", short: "Sun" }
+  ];
+}
+
+/**
+ * Returns the header patterns used to locate each column of the availability sheet.
+ *
+ * @param {Object} [overrides={}] - Patterns to replace the defaults, keyed by field name
+ *   (`email`, `firstName`, `lastName`, `track`) or `dayTemplate`, where "{day}" is replaced by each day name.
+ * @returns {Object} - Field names mapped to lists of header patterns, plus `dayTemplate`.
+ */
+function getAvailabilitySchema(overrides = {}) {
+  const schema = {
+    email: ["^email address$", "^email$"],
+    firstName: ["^first name$"],
+    lastName: ["^last name$"],
+    track: ["track"],
+    dayTemplate: "available.*\\[{day}\\]\\s*$"
+  };
+  Object.entries(overrides).forEach(([field, patterns]) => {
+    if (patterns) schema[field] = patterns;
+  });
+  return schema;
+}
+
+/**
+ * Returns the availability schema with any header pattern overrides from the "Config" sheet applied.
+ *
+ * @returns {Object} - Field names mapped to lists of header patterns, plus `dayTemplate`.
+ */
+function getConfiguredAvailabilitySchema() {
+  const config = getConfig();
+  return getAvailabilitySchema({
+    email: config.availabilityEmailPattern ? [config.availabilityEmailPattern] : null,
+    track: config.availabilityTrackPattern ? [config.availabilityTrackPattern] : null,
+    dayTemplate: config.availabilityDayPattern || null
+  });
+}
+
+/**
+ * Finds the index of the first header matching any of the given patterns.
+ *
+ * @param {Array<string>} headers - The header row of the sheet.
+ * @param {Array<string>|string} patterns - One or more case-insensitive regular expressions.
+ * @returns {number} - The column index, or -1 if no header matches.
+ */
+function findColumnByPatterns(headers, patterns) {
+  const regexes = [].concat(patterns).map(pattern => new RegExp(pattern, "i"));
+  for (const regex of regexes) {
+    const index = headers.findIndex(header => regex.test(String(header).trim()));
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+/**
+ * Resolves availability columns from a header row.
+ *
+ * @param {Array<string>} headers - The header row of the availability sheet.
+ * @param {Array<string>} [required=['email', 'days']] - Fields that must be present (`email`, `firstName`,
+ *   `lastName`, `track`, `days`). Optional fields that are missing resolve to -1; `days` needs at least one
+ *   day column, and missing days are left out of `columns.days`.
+ * @param {Object} [schema=getAvailabilitySchema()] - Header patterns to use.
+ * @param {string} [sheetName="final-availabilities"] - Sheet name, used in the error message.
+ * @returns {Object} - Field names mapped to column indices, with `days` mapping day names to indices.
+ * @throws {Error} - If any required column is missing; the message lists all of them.
+ */
+function resolveAvailabilityColumns(headers, required = ["email", "days"], schema = getAvailabilitySchema(), sheetName = "final-availabilities") {
+  const columns = { days: {} };
+  const missing = [];
+
+  ["email", "firstName", "lastName", "track"].forEach(field => {
+    columns[field] = findColumnByPatterns(headers, schema[field]);
+    if (columns[field] === -1 && required.includes(field)) {
+      missing.push(`${field} (header matching ${[].concat(schema[field]).map(p => `/${p}/`).join(" or ")})`);
+    }
+  });
+
+  // Days the form does not ask about count as no availability; only a form with no day question is an error
+  const missingDays = [];
+  getAvailabilityDays().forEach(({ name }) => {
+    const index = findColumnByPatterns(headers, schema.dayTemplate.replace("{day}", name));
+    if (index !== -1) {
+      columns.days[name] = index;
+    } else {
+      missingDays.push(name);
+    }
+  });
+  if (required.includes("days") && missingDays.length === getAvailabilityDays().length) {
+    missing.push(`days (at least one header matching /${schema.dayTemplate}/ with "{day}" as a day name)`);
+  } else if (missingDays.length > 0) {
+    Logger.log(`No availability question in '${sheetName}' for ${missingDays.join(", ")}; treated as unavailable.`);
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`Missing columns in '${sheetName}': ${missing.join("; ")}`);
+  }
+  return columns;
+}
+
+/**
+ * Reads the availability sheet and resolves its columns.
+ *
+ * @param {Array<string>} [required=['email', 'days']] - Fields that must be present (see `resolveAvailabilityColumns()`).
+ * @param {Object} [schema=getConfiguredAvailabilitySchema()] - Header patterns to use.
+ * @param {string} [sheetName=getConfig().availabilitySheet] - The name of the availability sheet.
+ * @returns {{data: Array<Array<any>>, columns: Object}} - All rows (including the header row) and the column map.
+ * @throws {Error} - If the sheet does not exist or a required column is missing.
+ */
+function readAvailabilitySheet(required = ["email", "days"], schema = getConfiguredAvailabilitySchema(), sheetName = getConfig().availabilitySheet) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet) {
+    throw new Error(`Sheet '${sheetName}' not found!`);
+  }
+
+  const data = sheet.getDataRange().getValues();
+  const columns = resolveAvailabilityColumns(data[0] || [], required, schema, sheetName);
+  return { data, columns };
+}
+
+/**
+ * Returns a row's available time slots, keyed by day name. Days with no slots are omitted.
+ *
+ * @param {Array<any>} row - A data row from the availability sheet.
+ * @param {Object} columns - The column map from `resolveAvailabilityColumns()`.
+ * @returns {Object} - Day names mapped to arrays of time slot labels (e.g., { Monday: ["10am-11am"] }).
+ */
+function getRowAvailability(row, columns) {
+  const availability = {};
+  Object.entries(columns.days).forEach(([day, index]) => {
+    const timeSlots = String(row[index] || "").split(",").map(slot => slot.trim()).filter(slot => slot);
+    if (timeSlots.length > 0) availability[day] = timeSlots;
+  });
+  return availability;
+}
+
+/**
+ * Returns a row's available time slots as scheduling keys (e.g., "Mon 10am-11am").
+ *
+ * @param {Array<any>} row - A data row from the availability sheet.
+ * @param {Object} columns - The column map from `resolveAvailabilityColumns()`.
+ * @returns {Array<string>} - Time slot keys in day order.
+ */
+function getRowSlotKeys(row, columns) {
+  const availability = getRowAvailability(row, columns);
+  const keys = [];
+  getAvailabilityDays().forEach(({ name, short }) => {
+    (availability[name] || []).forEach(slot => keys.push(`${short} ${slot}`));
+  });
+  return keys;
+}
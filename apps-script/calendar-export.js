@@ -0,0 +1,378 @@
+/**
+ * Calendar (.ics) Export
+ *
+ * This file converts a schedule sheet (from `writeSelectedSlotsToSheet()`, `getIterativeTimeSlots()`,
+ * `writeSessionAssignmentsToSheet()`, `writeModalitySessionsToSheet()` or `writeJointScheduleToSheet()`)
+ * into an RFC 5545 calendar with one weekly recurring event per session, so staff no longer have to
+ * build calendar invites by hand.
+ *
+ * ✅ Usage:
+ *   - Set `semesterStartDate` and `semesterEndDate` (and optionally `calendarTimeZone`, `calendarFolder`)
+ *     in the "Config" sheet.
+ *   - Call `exportScheduleToIcs("SEARCH-schedule")` to save "SEARCH-schedule.ics" to the calendar folder.
+ *   - `buildIcsCalendar()` and `validateIcsText()` do not touch any Google service, so the generated
+ *     text can be checked offline.
+ *
+ * ⚠️ Notes:
+ *   - Events use the time zone of the script (or `calendarTimeZone`). Only time zones listed in
+ *     `getIcsTimeZones()` are supported, since each needs a VTIMEZONE definition.
+ *   - Each session's first occurrence is the first matching weekday on or after the semester start date,
+ *     and it repeats weekly through the semester end date.
+ */
+
+/**
+ * Returns the supported time zones with their standard UTC offsets and whether they observe US daylight time.
+ *
+ * @returns {Object} - Time zone ids mapped to `{ offset (minutes), standardName, daylightName, observesDst }`.
+ */
+function getIcsTimeZones() {
+  return {
+    "America/Los_Angeles": { offset: -480, standardName: "PST", daylightName: "PDT", observesDst: true },
+    "America/Denver": { offset: -420, standardName: "MST", daylightName: "MDT", observesDst: true },
+    "America/Phoenix": { offset: -420, standardName: "MST", daylightName: "MST", observesDst: false },
+    "America/Chicago": { offset: -360, standardName: "CST", daylightName: "CDT", observesDst: true },
+    "America/New_York": { offset: -300, standardName: "EST", daylightName: "EDT", observesDst: true },
+    "UTC": { offset: 0, standardName: "UTC", daylightName: "UTC", observesDst: false }
+  };
+}
+
+/**
+ * Reads the sessions from a schedule sheet. Rows are grouped by track (if present) and time slot,
+ * so sheets with one row per student and sheets with one row per session both work.
+ *
+ * @param {string} sheetName - The name of the schedule sheet.
+ * @returns {Array<{track: string, slot: string, emails: Array<string>}>} - Sessions in sheet order.
+ * @throws {Error} - If the sheet does not exist or has no time slot or student email column.
+ */
+function readScheduleSessions(sheetName) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet) throw new Error(`Sheet '${sheetName}' not found!`);
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const slotIndex = headers.indexOf('Time Slot');
+  const trackIndex = headers.indexOf('Track');
+  const emailIndices = ['Student Emails', 'Students', 'Student Email', 'In-Person Students', 'Virtual Students']
+    .map(header => headers.indexOf(header))
+    .filter(index => index !== -1);
+
+  if (slotIndex === -1 || emailIndices.length === 0) {
+    throw new Error(`Sheet '${sheetName}' needs a 'Time Slot' column and a student email column.`);
+  }
+
+  const sessions = {};
+  data.slice(1).forEach(row => {
+    const slot = String(row[slotIndex]).trim();
+    if (!parseSlotKey(slot)) return; // Skip blank and summary rows
+    const track = trackIndex === -1 ? '' : String(row[trackIndex]).trim();
+    const key = `${track}|${slot}`;
+    sessions[key] = sessions[key] || { track, slot, emails: [] };
+    emailIndices.forEach(index => {
+      String(row[index]).split(',').map(email => email.trim()).filter(email => email).forEach(email => {
+        if (!sessions[key].emails.includes(email)) sessions[key].emails.push(email);
+      });
+    });
+  });
+
+  return Object.values(sessions);
+}
+
+/**
+ * Builds an RFC 5545 calendar with one weekly recurring event per session.
+ *
+ * @param {Array<Object>} sessions - Sessions of the form `{ track, slot, emails }` (see `readScheduleSessions()`).
+ * @param {Object} options - Calendar settings.
+ * @param {Date} options.semesterStart - First day of the semester.
+ * @param {Date} options.semesterEnd - Last day of the semester (inclusive).
+ * @param {string} options.timeZone - Time zone id (see `getIcsTimeZones()`).
+ * @param {string} [options.calendarName="eHub Schedule"] - Calendar name, also used as the event title prefix.
+ * @param {string} [options.location=""] - Optional location for every event.
+ * @param {string} [options.organizerEmail=""] - Optional organizer email.
+ * @param {Date} [options.now=new Date()] - Timestamp for DTSTAMP.
+ * @returns {string} - The calendar text, with CRLF line endings and folded lines.
+ * @throws {Error} - If the time zone is not supported or the semester dates are invalid.
+ */
+function buildIcsCalendar(sessions, { semesterStart, semesterEnd, timeZone, calendarName = "eHub Schedule", location = "", organizerEmail = "", now = new Date() }) {
+  const zone = getIcsTimeZones()[timeZone];
+  if (!zone) {
+    throw new Error(`Unsupported time zone '${timeZone}'. Supported: ${Object.keys(getIcsTimeZones()).join(", ")}`);
+  }
+  if (!semesterStart || !semesterEnd || !(semesterEnd >= semesterStart)) {
+    throw new Error("Semester start and end dates are missing or out of order.");
+  }
+
+  const startDate = Date.UTC(semesterStart.getFullYear(), semesterStart.getMonth(), semesterStart.getDate());
+  const endDate = Date.UTC(semesterEnd.getFullYear(), semesterEnd.getMonth(), semesterEnd.getDate());
+  const dayIndex = {};
+  getAvailabilityDays().forEach(({ short }, index) => dayIndex[short] = (index + 1) % 7); // JS weekday numbers
+
+  // UNTIL must be in UTC: the end of the last semester day, local time
+  const endOffset = getIcsUtcOffset(zone, new Date(endDate));
+  const until = formatIcsDateTime(new Date(endDate + (24 * 60 - 1) * 60000 - endOffset * 60000)) + "Z";
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//eHub//Scheduling Scripts//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(calendarName)}`,
+    ...buildIcsTimeZone(timeZone, zone)
+  ];
+
+  sessions.forEach(({ track, slot, emails }, index) => {
+    const parsed = parseSlotKey(slot);
+    if (!parsed || dayIndex[parsed.day] === undefined) return;
+
+    // First occurrence: first matching weekday on or after the semester start
+    const firstDate = new Date(startDate);
+    firstDate.setUTCDate(firstDate.getUTCDate() + (dayIndex[parsed.day] - firstDate.getUTCDay() + 7) % 7);
+    if (firstDate.getTime() > endDate) return;
+
+    const title = [calendarName, track, slot].filter(part => part).join(" - ");
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${buildIcsUid(calendarName, track, slot, index)}`,
+      `DTSTAMP:${formatIcsDateTime(now)}Z`,
+      `DTSTART;TZID=${timeZone}:${formatIcsDateTime(new Date(firstDate.getTime() + parsed.start * 60000))}`,
+      `DTEND;TZID=${timeZone}:${formatIcsDateTime(new Date(firstDate.getTime() + parsed.end * 60000))}`,
+      `RRULE:FREQ=WEEKLY;UNTIL=${until}`,
+      `SUMMARY:${escapeIcsText(title)}`,
+      `DESCRIPTION:${escapeIcsText(`Weekly session (${slot}) with ${emails.length} students.`)}`
+    );
+    if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+    if (organizerEmail) lines.push(`ORGANIZER:mailto:${organizerEmail}`);
+    emails.forEach(email => lines.push(`ATTENDEE;CUTYPE=INDIVIDUAL;ROLE=REQ-PARTICIPANT;RSVP=TRUE:mailto:${email}`));
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Builds the VTIMEZONE component for a supported time zone (US daylight time rules).
+ *
+ * @param {string} timeZone - The time zone id.
+ * @param {Object} zone - The zone definition from `getIcsTimeZones()`.
+ * @returns {Array<string>} - The component's lines.
+ */
+function buildIcsTimeZone(timeZone, zone) {
+  const standard = formatIcsOffset(zone.offset);
+  if (!zone.observesDst) {
+    return ["BEGIN:VTIMEZONE", `TZID:${timeZone}`, "BEGIN:STANDARD", "DTSTART:19700101T000000",
+            `TZOFFSETFROM:${standard}`, `TZOFFSETTO:${standard}`, `TZNAME:${zone.standardName}`, "END:STANDARD", "END:VTIMEZONE"];
+  }
+
+  const daylight = formatIcsOffset(zone.offset + 60);
+  return [
+    "BEGIN:VTIMEZONE", `TZID:${timeZone}`,
+    "BEGIN:DAYLIGHT", "DTSTART:19700308T020000", "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU",
+    `TZOFFSETFROM:${standard}`, `TZOFFSETTO:${daylight}`, `TZNAME:${zone.daylightName}`, "END:DAYLIGHT",
+    "BEGIN:STANDARD", "DTSTART:19701101T020000", "RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU",
+    `TZOFFSETFROM:${daylight}`, `TZOFFSETTO:${standard}`, `TZNAME:${zone.standardName}`, "END:STANDARD",
+    "END:VTIMEZONE"
+  ];
+}
+
+/**
+ * Returns the UTC offset in minutes of a zone on a given calendar day (US daylight time rules).
+ *
+ * @param {Object} zone - The zone definition from `getIcsTimeZones()`.
+ * @param {Date} date - The calendar day, as a UTC midnight date.
+ * @returns {number} - Offset from UTC in minutes (e.g., -420 for PDT).
+ */
+function getIcsUtcOffset(zone, date) {
+  if (!zone.observesDst) return zone.offset;
+
+  const year = date.getUTCFullYear();
+  const nthSunday = (month, n) => {
+    const first = new Date(Date.UTC(year, month, 1));
+    return Date.UTC(year, month, 1 + (7 - first.getUTCDay()) % 7 + (n - 1) * 7);
+  };
+  const inDaylightTime = date.getTime() >= nthSunday(2, 2) && date.getTime() < nthSunday(10, 1);
+  return zone.offset + (inDaylightTime ? 60 : 0);
+}
+
+/**
+ * Formats a date's UTC fields as an iCalendar date-time ("20250113T100000").
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} - The formatted date-time, without a trailing "Z".
+ */
+function formatIcsDateTime(date) {
+  const pad = number => String(number).padStart(2, "0");
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+         `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`;
+}
+
+/**
+ * Formats an offset in minutes as an iCalendar UTC offset ("-0800").
+ *
+ * @param {number} minutes - Offset from UTC in minutes.
+ * @returns {string} - The formatted offset.
+ */
+function formatIcsOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, "0")}${String(absolute % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Builds a stable event UID, so re-importing an updated calendar replaces events instead of duplicating them.
+ *
+ * @param {string} calendarName - The calendar name.
+ * @param {string} track - The session's track (may be empty).
+ * @param {string} slot - The session's time slot.
+ * @param {number} index - The session's position, to keep UIDs unique.
+ * @returns {string} - The UID.
+ */
+function buildIcsUid(calendarName, track, slot, index) {
+  const slug = [calendarName, track, slot].join("-").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `${slug}-${index}@ehub-scripts`;
+}
+
+/**
+ * Escapes a value for an iCalendar TEXT property.
+ *
+ * @param {string} text - The raw text.
+ * @returns {string} - The escaped text.
+ */
+function escapeIcsText(text) {
+  return String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a content line so no physical line is longer than 75 octets (RFC 5545 section 3.1).
+ *
+ * @param {string} line - The unfolded content line.
+ * @returns {string} - The folded line, with CRLF + space before each continuation.
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = unescape(encodeURIComponent(char)).length;
+    const limit = parts.length === 0 ? 75 : 74; // Continuation lines start with a space
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * Checks calendar text against the parts of RFC 5545 this exporter relies on.
+ *
+ * @param {string} text - The calendar text.
+ * @returns {Array<string>} - A list of problems; empty if the calendar is valid.
+ */
+function validateIcsText(text) {
+  const errors = [];
+  if (!text.endsWith("\r\n")) errors.push("Calendar must end with CRLF");
+  if (/[^\r]\n/.test(text)) errors.push("Lines must be separated by CRLF");
+
+  const physicalLines = text.split("\r\n").slice(0, -1);
+  physicalLines.forEach((line, i) => {
+    if (unescape(encodeURIComponent(line)).length > 75) errors.push(`Line ${i + 1} is longer than 75 octets`);
+  });
+
+  // Unfold continuation lines before checking structure
+  const lines = [];
+  physicalLines.forEach(line => {
+    if (line.startsWith(" ") && lines.length > 0) lines[lines.length - 1] += line.slice(1);
+    else lines.push(line);
+  });
+
+  const stack = [];
+  const components = [];
+  const timeZoneIds = new Set();
+  const referencedTimeZones = new Set();
+
+  lines.forEach((line, i) => {
+    const separator = line.indexOf(":");
+    if (separator === -1) {
+      errors.push(`Line ${i + 1} is not a property ("name:value")`);
+      return;
+    }
+    const name = line.slice(0, separator).split(";")[0].toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (name === "BEGIN") {
+      stack.push(value);
+      components.push({ type: value, properties: new Set(), depth: stack.length });
+    } else if (name === "END") {
+      if (stack[stack.length - 1] !== value) errors.push(`Line ${i + 1}: END:${value} does not match BEGIN:${stack[stack.length - 1]}`);
+      stack.pop();
+    } else {
+      const open = [...components].reverse().find(component => component.depth === stack.length);
+      if (open) open.properties.add(name);
+      if (name === "TZID" && stack[stack.length - 1] === "VTIMEZONE") timeZoneIds.add(value);
+      const tzid = line.slice(0, separator).match(/;TZID=([^;:]+)/);
+      if (tzid) referencedTimeZones.add(tzid[1]);
+    }
+  });
+
+  if (stack.length > 0) errors.push(`Unclosed components: ${stack.join(", ")}`);
+
+  const calendar = components.find(component => component.type === "VCALENDAR");
+  if (!calendar) {
+    errors.push("Missing VCALENDAR");
+  } else {
+    ["VERSION", "PRODID"].forEach(property => {
+      if (!calendar.properties.has(property)) errors.push(`VCALENDAR is missing ${property}`);
+    });
+  }
+
+  components.filter(component => component.type === "VEVENT").forEach((event, i) => {
+    ["UID", "DTSTAMP", "DTSTART"].forEach(property => {
+      if (!event.properties.has(property)) errors.push(`VEVENT ${i + 1} is missing ${property}`);
+    });
+  });
+
+  referencedTimeZones.forEach(tzid => {
+    if (!timeZoneIds.has(tzid)) errors.push(`TZID '${tzid}' has no VTIMEZONE`);
+  });
+
+  return errors;
+}
+
+/**
+ * Exports a schedule sheet as an .ics file in the configured Drive folder.
+ *
+ * @param {string} sheetName - The name of the schedule sheet (e.g., "SEARCH-schedule").
+ * @param {Object} [options={}] - Optional `location` and `organizerEmail` for every event.
+ * @returns {string} - The URL of the created file.
+ * @throws {Error} - If the semester dates are not configured or the generated calendar is invalid.
+ */
+function exportScheduleToIcs(sheetName, options = {}) {
+  const config = getConfig();
+  if (!config.semesterStartDate || !config.semesterEndDate) {
+    throw new Error("Set semesterStartDate and semesterEndDate in the 'Config' sheet before exporting calendars.");
+  }
+
+  const icsText = buildIcsCalendar(readScheduleSessions(sheetName), {
+    semesterStart: config.semesterStartDate,
+    semesterEnd: config.semesterEndDate,
+    timeZone: config.calendarTimeZone || Session.getScriptTimeZone(),
+    calendarName: sheetName,
+    location: options.location || "",
+    organizerEmail: options.organizerEmail || ""
+  });
+
+  const errors = validateIcsText(icsText);
+  if (errors.length > 0) {
+    throw new Error(`Generated calendar for '${sheetName}' is invalid: ${errors.join("; ")}`);
+  }
+
+  const folder = createFolderIfNotExists(config.calendarFolder);
+  const file = folder.createFile(`${sheetName}.ics`, icsText, "text/calendar");
+  Logger.log(`Calendar for ${sheetName} saved: ${file.getUrl()}`);
+  return file.getUrl();
+}
@@ -0,0 +1,235 @@
+/**
+ * Semester Configuration
+ *
+ * This file loads the settings that change from semester to semester (sheet names, Drive folders,
+ * the membership spreadsheet, form header patterns, ...) from a "Config" sheet, so rolling over to
+ * a new semester is a sheet edit rather than a code edit.
+ *
+ * ✅ Usage:
+ *   - Run `setupConfigSheet()` (or Activities > Set Up Config Sheet) once to create the "Config" sheet
+ *     with every key, its current default and a description.
+ *   - Edit the "Value" column. Blank values fall back to the defaults below.
+ *   - Call `getConfig()` from any entry point to get a typed, validated config object.
+ *
+ * ⚠️ Notes:
+ *   - The config is read once per execution and cached; call `loadConfig()` to force a re-read.
+ *   - Unknown keys, values of the wrong type and missing required values throw a single error
+ *     listing every problem, so a bad config is caught before any sheet is modified.
+ */
+
+var cachedConfig = null;
+
+/**
+ * Returns the definition of every config key: its type, default value and description.
+ * Supported types are "string", "number", "boolean", "list" (comma-separated) and "date".
+ *
+ * @returns {Object} - Config keys mapped to `{ type, defaultValue, required, description }`.
+ */
+function getConfigDefinitions() {
+  return {
+    availabilitySheet: { type: "string", defaultValue: "final-availabilities", required: true,
+      description: "Sheet with the availability form responses." },
+    interestSheet: { type: "string", defaultValue: "interest-responses", required: true,
+      description: "Sheet with the interest form responses." },
+    matchmakingSheet: { type: "string", defaultValue: "data-driven-matchmaking", required: true,
+      description: "Sheet with the HubSpot matchmaking export." },
+    matchesSheet: { type: "string", defaultValue: "Matches", required: true,
+      description: "Sheet that runMatchmaking() writes leader-member matches to." },
+    matchmakingAlgorithm: { type: "string", defaultValue: "top", required: true,
+      description: "How runMatchmaking() pairs leaders and members: \"top\" (top 5 per leader), \"stable\" (stable matching) or \"fair\" (capped exposure)." },
+    leaderMatchQuota: { type: "number", defaultValue: 5, required: true,
+      description: "Stable and fair matching: maximum members matched to each leader." },
+    memberMatchCap: { type: "number", defaultValue: 2, required: true,
+      description: "Stable and fair matching: maximum leaders each member is matched with." },
+    minAvailabilityOverlap: { type: "number", defaultValue: 0, required: true,
+      description: "Matchmaking drops leader-member pairs sharing fewer weekly availability slots than this (0 = no filter)." },
+    minTeamSize: { type: "number", defaultValue: 3, required: true,
+      description: "Team formation: minimum team size, including the leader." },
+    maxTeamSize: { type: "number", defaultValue: 5, required: true,
+      description: "Team formation: maximum team size, including the leader." },
+    membershipSpreadsheetId: { type: "string", defaultValue: "1iLMmkR2h0BhJys9Psnx6GXjPUBlNxGrhVOlGw7ONPO4", required: true,
+      description: "ID of the spreadsheet listing all eHub members for the semester." },
+    membershipSheet: { type: "string", defaultValue: "all eHub members", required: true,
+      description: "Sheet in the membership spreadsheet with Email and Track columns." },
+    membershipEnrichmentMode: { type: "string", defaultValue: "mark", required: true,
+      description: "updateMembershipColumn(): \"mark\" non-members in place, \"copy\" to enrichedMatchmakingSheet, or \"delete\" their rows." },
+    enrichedMatchmakingSheet: { type: "string", defaultValue: "data-driven-matchmaking-enriched", required: true,
+      description: "Sheet that updateMembershipColumn() writes to in \"copy\" mode; matchmaking reads it instead of matchmakingSheet in that mode." },
+    leaderDocsFolder: { type: "string", defaultValue: "Matches Folder Sp25", required: true,
+      description: "Drive folder for team leader match docs." },
+    memberDocsFolder: { type: "string", defaultValue: "Member Matches Folder Sp25", required: true,
+      description: "Drive folder for team member match docs." },
+    leaderLinksSheet: { type: "string", defaultValue: "Match Docs Links", required: true,
+      description: "Sheet listing the team leader match doc links." },
+    memberLinksSheet: { type: "string", defaultValue: "Member Match Docs Links", required: true,
+      description: "Sheet listing the team member match doc links." },
+    matchesPerDoc: { type: "number", defaultValue: 5, required: true,
+      description: "Number of highest-scoring matches shown in each team leader doc." },
+    leaderDocTemplateId: { type: "string", defaultValue: "", required: false,
+      description: "Optional ID of a Google Doc template for leader match docs; the built-in template is used if empty." },
+    memberDocTemplateId: { type: "string", defaultValue: "", required: false,
+      description: "Optional ID of a Google Doc template for member match docs; the built-in template is used if empty." },
+    deliveryEmailSubject: { type: "string", defaultValue: "Your eHub team matches are ready", required: true,
+      description: "Subject of the match doc emails; placeholders like {{firstName}} are filled in (see match-delivery)." },
+    deliveryEmailBody: { type: "string", required: true,
+      defaultValue: "Hi {{firstName}},\n\n{{#isLeader}}Here are the students we think would be a great fit for your team:{{/isLeader}}{{^isLeader}}Here are the team leaders we think you would work well with:{{/isLeader}}\n{{docUrl}}\n\nReach out to your matches directly, and let us know how it goes!\n\nThe eHub team",
+      description: "Body of the match doc emails; placeholders: {{firstName}}, {{email}}, {{docUrl}}, {{isLeader}}." },
+    staffAvailabilitySheet: { type: "string", defaultValue: "Staff Availability", required: true,
+      description: "Sheet with facilitator availability (Email plus one column per day) for joint scheduling." },
+    roomAvailabilitySheet: { type: "string", defaultValue: "Room Availability", required: true,
+      description: "Sheet with room availability (Room, Capacity plus one column per day) for joint scheduling." },
+    hubspotSheet: { type: "string", defaultValue: "all-availabilities", required: true,
+      description: "Sheet that integrateMain() enriches with HubSpot properties." },
+    hubspotProperties: { type: "list", defaultValue: ["primary_field_of_study___major", "secondary_field_of_study___minor"], required: true,
+      description: "HubSpot contact properties pulled by integrateMain() (comma-separated)." },
+    semesterStartDate: { type: "date", defaultValue: "", required: false,
+      description: "First day of sessions; calendar exports start their weekly events here." },
+    semesterEndDate: { type: "date", defaultValue: "", required: false,
+      description: "Last day of sessions; calendar exports repeat weekly events until this date." },
+    packetFolder: { type: "string", defaultValue: "Match Packets Sp25", required: true,
+      description: "Drive folder for the organizer match packets from createMatchPacket()." },
+    calendarFolder: { type: "string", defaultValue: "Schedule Calendars Sp25", required: true,
+      description: "Drive folder for .ics files from exportScheduleToIcs()." },
+    calendarTimeZone: { type: "string", defaultValue: "", required: false,
+      description: "Optional time zone for calendar exports (e.g., America/Los_Angeles); defaults to the script's." },
+    availabilityEmailPattern: { type: "string", defaultValue: "", required: false,
+      description: "Optional regex for the email header in the availability sheet." },
+    availabilityTrackPattern: { type: "string", defaultValue: "", required: false,
+      description: "Optional regex for the track header in the availability sheet." },
+    availabilityDayPattern: { type: "string", defaultValue: "", required: false,
+      description: "Optional regex for the day questions; {day} is replaced by the day name." }
+  };
+}
+
+/**
+ * Converts a raw sheet value into the type declared for a config key.
+ *
+ * @param {any} value - The raw cell value.
+ * @param {string} type - The declared type of the key.
+ * @returns {{value: any, error: string|null}} - The converted value, or an error message.
+ */
+function parseConfigValue(value, type) {
+  switch (type) {
+    case "string":
+      return { value: String(value).trim(), error: null };
+    case "number": {
+      const number = Number(value);
+      return isNaN(number) ? { value: null, error: `expected a number, got "${value}"` } : { value: number, error: null };
+    }
+    case "boolean": {
+      if (value === true || value === false) return { value, error: null };
+      const text = String(value).trim().toLowerCase();
+      if (["true", "yes"].includes(text)) return { value: true, error: null };
+      if (["false", "no"].includes(text)) return { value: false, error: null };
+      return { value: null, error: `expected TRUE or FALSE, got "${value}"` };
+    }
+    case "list":
+      return { value: String(value).split(",").map(item => item.trim()).filter(item => item), error: null };
+    case "date": {
+      const date = value instanceof Date ? value : new Date(value);
+      return isNaN(date.getTime()) ? { value: null, error: `expected a date, got "${value}"` } : { value: date, error: null };
+    }
+    default:
+      return { value: null, error: `unknown type "${type}"` };
+  }
+}
+
+/**
+ * Reads and validates the "Config" sheet, caching the result for the rest of the execution.
+ * If the sheet does not exist, the defaults are used.
+ *
+ * @returns {Object} - Config keys mapped to typed values.
+ * @throws {Error} - If the sheet has unknown keys, badly typed values or missing required values.
+ */
+function loadConfig() {
+  const definitions = getConfigDefinitions();
+  const config = {};
+  const errors = [];
+
+  Object.entries(definitions).forEach(([key, definition]) => config[key] = definition.defaultValue);
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Config");
+  if (sheet) {
+    sheet.getDataRange().getValues().slice(1).forEach(([key, value]) => {
+      key = String(key).trim();
+      if (!key) return;
+      if (!definitions[key]) {
+        errors.push(`unknown key "${key}"`);
+        return;
+      }
+      if (value === "" || value === null) return; // Blank values keep the default
+
+      const parsed = parseConfigValue(value, definitions[key].type);
+      if (parsed.error) {
+        errors.push(`${key}: ${parsed.error}`);
+      } else {
+        config[key] = parsed.value;
+      }
+    });
+  } else {
+    Logger.log("No 'Config' sheet found. Using default configuration.");
+  }
+
+  Object.entries(definitions).forEach(([key, definition]) => {
+    const value = config[key];
+    const isEmpty = value === "" || value === null || (Array.isArray(value) && value.length === 0);
+    if (definition.required && isEmpty) errors.push(`${key}: a value is required`);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration in 'Config' sheet: ${errors.join("; ")}`);
+  }
+
+  cachedConfig = config;
+  return config;
+}
+
+/**
+ * Returns the validated config for this execution, loading it on first use.
+ *
+ * @returns {Object} - Config keys mapped to typed values.
+ */
+function getConfig() {
+  return cachedConfig || loadConfig();
+}
+
+/**
+ * Checks that the sheets named by the given config keys exist in the active spreadsheet.
+ *
+ * @param {Object} config - The config object from `getConfig()`.
+ * @param {Array<string>} keys - Config keys whose values are sheet names.
+ * @throws {Error} - If any of the sheets is missing; the message lists all of them.
+ */
+function assertConfiguredSheetsExist(config, keys) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const missing = keys.filter(key => !ss.getSheetByName(config[key])).map(key => `${key} ("${config[key]}")`);
+  if (missing.length > 0) {
+    throw new Error(`Configured sheets not found: ${missing.join(", ")}`);
+  }
+}
+
+/**
+ * Creates the "Config" sheet with every key, its default value and a description.
+ * Existing values are kept; keys that are missing from the sheet are appended.
+ */
+function setupConfigSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName("Config");
+  if (!sheet) {
+    sheet = ss.insertSheet("Config");
+    sheet.appendRow(["Key", "Value", "Description"]);
+  }
+
+  const existingKeys = sheet.getDataRange().getValues().slice(1).map(row => String(row[0]).trim());
+  const newRows = Object.entries(getConfigDefinitions())
+    .filter(([key]) => !existingKeys.includes(key))
+    .map(([key, definition]) => {
+      const value = Array.isArray(definition.defaultValue) ? definition.defaultValue.join(", ") : definition.defaultValue;
+      return [key, value, definition.description];
+    });
+
+  if (newRows.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, 3).setValues(newRows);
+  }
+  Logger.log(`Config sheet ready (${newRows.length} keys added).`);
+}
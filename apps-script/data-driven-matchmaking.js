@@ -1,57 +1,197 @@
 /**
  * Adds a membership column and status for each student in the "data-driven-matchmaking" sheet. 
  * "data-driven-matchmaking" sheet is pulled from a Hubspot list that contains all the people who opted in to have their information shared with matches and selected that they are either actively looking for people to work on their idea or for people with existing ideas to work with. 
- * Membership status is pulled from another sheet containing all the eHub members. 
- * All students whose membership status cannot be found in the member sheet are deleted from the data-driven-matchmaking sheet. 
+ * Membership status is pulled from another sheet containing all the eHub members (configured by `membershipSpreadsheetId`
+ * and `membershipSheet` in the "Config" sheet). 
+ * Students are matched by email, then by a secondary email, then by full name (only if exactly one member has it).
+ * What happens to students who cannot be matched depends on the mode (`membershipEnrichmentMode` in the "Config" sheet):
+ *   - "mark" (default): rows are kept with an empty Membership and a reason in "Membership Note";
+ *     `separateLeadersAndMembers()` skips them.
+ *   - "copy": the source sheet is left untouched and the enriched rows are written to `enrichedMatchmakingSheet`,
+ *     which matchmaking, team formation, the docs and the packet then read instead (see `getMatchmakingSheetKey()`).
+ *   - "delete": rows are removed from the sheet (the original behavior).
+ * The sheet is written in a single batch, and every student not matched by primary email is appended to the
+ * "Membership Audit" sheet.
+ *
+ * @param {string} [mode=getConfig().membershipEnrichmentMode] - "mark", "copy" or "delete".
  */
-function updateMembershipColumn() {
+function updateMembershipColumn(mode) {
+  var config = getConfig();
+  mode = mode || config.membershipEnrichmentMode;
+  if (['mark', 'copy', 'delete'].indexOf(mode) == -1) {
+    throw new Error(`Unknown membership enrichment mode '${mode}'. Use "mark", "copy" or "delete".`);
+  }
+
   var matchmakingFile = SpreadsheetApp.getActiveSpreadsheet(); // Active file
-  var matchmakingSheet = matchmakingFile.getSheetByName("data-driven-matchmaking");
+  var matchmakingSheet = matchmakingFile.getSheetByName(config.matchmakingSheet);
 
-  var ehubFile = SpreadsheetApp.openById("1iLMmkR2h0BhJys9Psnx6GXjPUBlNxGrhVOlGw7ONPO4"); // Open eHub S2025 Membership Sheet
-  var ehubSheet = ehubFile.getSheetByName("all eHub members");
+  var ehubFile = SpreadsheetApp.openById(config.membershipSpreadsheetId); // Open the semester's membership sheet
+  var ehubSheet = ehubFile.getSheetByName(config.membershipSheet);
 
   // Get data from "data-driven-matchmaking"
   var matchmakingData = matchmakingSheet.getDataRange().getValues();
-  var emailIndexMatchmaking = matchmakingData[0].indexOf("Email"); // Get email column index
-  var membershipCol = matchmakingData[0].length; // New column for membership
-  
-  // Get data from "all eHub members"
-  var ehubData = ehubSheet.getDataRange().getValues();
-  var emailIndexEhub = ehubData[0].indexOf("Email");
-  var membershipIndexEhub = ehubData[0].indexOf("Track");
-
-  if (emailIndexMatchmaking == -1 || emailIndexEhub == -1 || membershipIndexEhub == -1) {
+  var headers = matchmakingData[0].slice();
+  var columns = {
+    email: headers.indexOf("Email"), // Get email column index
+    secondaryEmail: findColumnByPatterns(headers, ["^(secondary|alternate|personal|other) email"]),
+    firstName: headers.indexOf("First Name"),
+    lastName: headers.indexOf("Last Name")
+  };
+
+  var lookup = buildMembershipLookup(ehubSheet.getDataRange().getValues());
+  if (columns.email == -1 || !lookup) {
     Logger.log("Required columns not found.");
     return;
   }
 
-  // Create a lookup dictionary for memberships
-  var membershipMap = {};
+  // Add "Membership" and "Membership Note" column headers if not already there
+  ["Membership", "Membership Note"].forEach(function(header) {
+    if (headers.indexOf(header) == -1) headers.push(header);
+  });
+  var membershipCol = headers.indexOf("Membership");
+  var noteCol = headers.indexOf("Membership Note");
+
+  var outputRows = [headers];
+  var auditRows = [];
+  var runTime = new Date();
+  for (var j = 1; j < matchmakingData.length; j++) {
+    var row = matchmakingData[j].slice();
+    while (row.length < headers.length) row.push("");
+
+    var result = findMembership(row, columns, lookup);
+    row[membershipCol] = result.membership;
+    row[noteCol] = result.note;
+
+    if (result.matchedBy != "email") {
+      auditRows.push([runTime, row[columns.email], result.matchedBy ? "Matched" : "Excluded", result.note, mode]);
+    }
+    if (result.membership || mode != "delete") outputRows.push(row);
+  }
+
+  // Write everything in one batch
+  var outputSheet = matchmakingSheet;
+  if (mode == "copy") {
+    outputSheet = matchmakingFile.getSheetByName(config.enrichedMatchmakingSheet) ||
+                  matchmakingFile.insertSheet(config.enrichedMatchmakingSheet);
+  }
+  outputSheet.clear();
+  outputSheet.getRange(1, 1, outputRows.length, headers.length).setValues(outputRows);
+
+  writeMembershipAudit(auditRows);
+  Logger.log(`Membership updated (${mode} mode): ${outputRows.length - 1} rows written to ${outputSheet.getName()}, ` +
+             `${auditRows.length} students audited.`);
+}
+
+/**
+ * Returns the config key of the sheet matchmaking reads students from: `enrichedMatchmakingSheet` when
+ * `updateMembershipColumn()` runs in "copy" mode (the source sheet then has no Membership column),
+ * otherwise `matchmakingSheet`.
+ *
+ * @param {Object} config - The config from `getConfig()`.
+ * @returns {string} - "enrichedMatchmakingSheet" or "matchmakingSheet".
+ */
+function getMatchmakingSheetKey(config) {
+  return config.membershipEnrichmentMode == 'copy' ? 'enrichedMatchmakingSheet' : 'matchmakingSheet';
+}
+
+/**
+ * Builds membership lookups by email, secondary email and full name from the eHub members sheet.
+ *
+ * @param {Array<Array>} ehubData - The members sheet, including its header row ("Email" and "Track" are required;
+ *   a secondary email column and "First Name"/"Last Name" are used if present).
+ * @returns {Object|null} - `{ byEmail, byName }`, where byName maps a lowercase full name to every matching
+ *   membership, or null if the required columns are missing.
+ */
+function buildMembershipLookup(ehubData) {
+  var headers = ehubData[0];
+  var emailIndexEhub = headers.indexOf("Email");
+  var membershipIndexEhub = headers.indexOf("Track");
+  var secondaryIndexEhub = findColumnByPatterns(headers, ["^(secondary|alternate|personal|other) email"]);
+  var firstIndexEhub = headers.indexOf("First Name");
+  var lastIndexEhub = headers.indexOf("Last Name");
+  if (emailIndexEhub == -1 || membershipIndexEhub == -1) return null;
+
+  var lookup = { byEmail: {}, byName: {} };
   for (var i = 1; i < ehubData.length; i++) {
-    var email = ehubData[i][emailIndexEhub].trim().toLowerCase();
     var membership = ehubData[i][membershipIndexEhub];
-    if (email) {
-      membershipMap[email] = membership;
+    if (!membership) continue;
+
+    [emailIndexEhub, secondaryIndexEhub].forEach(function(index) {
+      var email = index == -1 ? "" : String(ehubData[i][index]).trim().toLowerCase();
+      if (email && !lookup.byEmail[email]) lookup.byEmail[email] = membership;
+    });
+
+    if (firstIndexEhub != -1 && lastIndexEhub != -1) {
+      var name = normalizePersonName(ehubData[i][firstIndexEhub], ehubData[i][lastIndexEhub]);
+      if (name) (lookup.byName[name] = lookup.byName[name] || []).push(membership);
     }
   }
+  return lookup;
+}
 
-  // Add "Membership" column header if not already there
-  if (matchmakingData[0].indexOf("Membership") == -1) {
-    matchmakingSheet.getRange(1, membershipCol + 1).setValue("Membership");
+/**
+ * Finds a student's membership by primary email, secondary email, then full name.
+ *
+ * @param {Array} row - The student's row in the matchmaking sheet.
+ * @param {Object} columns - Indices of `email`, `secondaryEmail`, `firstName` and `lastName` (-1 if missing).
+ * @param {Object} lookup - The lookup from `buildMembershipLookup()`.
+ * @returns {{membership: string, matchedBy: string, note: string}} - The membership ("" if none), how it was
+ *   found ("email", "secondary email", "name" or ""), and a note for the sheet and audit log.
+ */
+function findMembership(row, columns, lookup) {
+  var email = String(row[columns.email]).trim().toLowerCase();
+  if (lookup.byEmail[email]) {
+    return { membership: lookup.byEmail[email], matchedBy: "email", note: "" };
   }
 
-  // Iterate from bottom up and remove rows with no membership
-  for (var j = matchmakingData.length - 1; j > 0; j--) {
-    var studentEmail = matchmakingData[j][emailIndexMatchmaking].trim().toLowerCase();
-    var membership = membershipMap[studentEmail] || "";
+  var secondaryEmail = columns.secondaryEmail == -1 ? "" : String(row[columns.secondaryEmail]).trim().toLowerCase();
+  if (secondaryEmail && lookup.byEmail[secondaryEmail]) {
+    return { membership: lookup.byEmail[secondaryEmail], matchedBy: "secondary email",
+             note: `Matched by secondary email ${secondaryEmail}` };
+  }
 
-    if (membership) {
-      matchmakingSheet.getRange(j + 1, membershipCol + 1).setValue(membership);
-    } else {
-      matchmakingSheet.deleteRow(j + 1);
+  if (columns.firstName != -1 && columns.lastName != -1) {
+    var name = normalizePersonName(row[columns.firstName], row[columns.lastName]);
+    var byName = lookup.byName[name] || [];
+    if (byName.length == 1) {
+      return { membership: byName[0], matchedBy: "name", note: `Matched by name (${name})` };
+    }
+    if (byName.length > 1) {
+      return { membership: "", matchedBy: "", note: `Not matched: ${byName.length} members are named ${name}` };
     }
   }
+
+  return { membership: "", matchedBy: "", note: "Not matched: email not found in membership sheet" };
+}
+
+/**
+ * Normalizes a first and last name for matching ("  Ada ", "LOVELACE" -> "ada lovelace").
+ *
+ * @param {string} firstName - The first name.
+ * @param {string} lastName - The last name.
+ * @returns {string} - The lowercase full name with single spaces, or "" if either part is missing.
+ */
+function normalizePersonName(firstName, lastName) {
+  var first = String(firstName || "").trim().toLowerCase();
+  var last = String(lastName || "").trim().toLowerCase();
+  return first && last ? `${first} ${last}`.replace(/\s+/g, " ") : "";
+}
+
+/**
+ * Appends rows to the "Membership Audit" sheet, creating it if needed.
+ *
+ * @param {Array<Array>} auditRows - Rows of the form [Run Time, Email, Result, Note, Mode].
+ */
+function writeMembershipAudit(auditRows) {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var auditSheet = ss.getSheetByName("Membership Audit");
+  if (!auditSheet) {
+    auditSheet = ss.insertSheet("Membership Audit");
+    auditSheet.appendRow(["Run Time", "Email", "Result", "Note", "Mode"]);
+  }
+  if (auditRows.length > 0) {
+    auditSheet.getRange(auditSheet.getLastRow() + 1, 1, auditRows.length, 5).setValues(auditRows);
+  }
 }
 
 /**
@@ -59,7 +199,8 @@ function updateMembershipColumn() {
  * 
  * @param {Sheet} sheet - The Google Sheet to validate.
  * @returns {Object|null} - A mapping of required column names to their indices if all are present; 
- *                          otherwise, returns null.
+ *                          otherwise, returns null. Optional 'Graduation Year' and 'Major' columns are
+ *                          included with index -1 when missing.
  */
 function validateSheet(sheet) {
   const requiredColumns = [
@@ -73,11 +214,17 @@ function validateSheet(sheet) {
   requiredColumns.forEach(col => {
     columnIndices[col] = headers.indexOf(col);
   });
-  return Object.values(columnIndices).every(index => index !== -1) ? columnIndices : null;
+  if (!Object.values(columnIndices).every(index => index !== -1)) return null;
+
+  // Optional columns used by the scoring model (-1 if missing)
+  columnIndices['Graduation Year'] = findColumnByPatterns(headers, ['^grad(uation)? year', 'graduation']);
+  columnIndices['Major'] = findColumnByPatterns(headers, ['^major$', 'field_of_study___major', 'major']);
+  return columnIndices;
 }
 
 /**
  * Separates students into leaders and members based on their membership type and interest in team roles.
+ * Students without a membership are skipped.
  *
  * @param {Array<Array>} data - The full dataset (excluding headers) as an array of rows.
  * @param {Object} columnIndices - An object mapping column names to their indices (output from validateSheet()). 
@@ -91,6 +238,7 @@ function separateLeadersAndMembers(data, columnIndices) {
     const seekingTeammates = row[columnIndices['Seeking Teammates to Work on Your Idea?']];
     const seekingTeam = row[columnIndices['Seeking Team to Join and Work on Their Idea?']];
     const membership = row[columnIndices['Membership']];
+    if (!membership) return; // Not an eHub member (see updateMembershipColumn())
     if ((membership === 'BUILD' || membership === 'BUILDdiscover') && seekingTeammates === 'Yes') {
       leaders.push(row);
     } else if (seekingTeam === 'Yes') {
@@ -119,7 +267,7 @@ function findTopMatches(leader, members, columnIndices) {
 
 /**
  * Calculates a compatibility score between a team leader and a potential member based on shared interests
- * and complementary skill needs.
+ * and complementary skill needs, weighted by the scoring model (see scoring-model.js).
  *
  * @param {Array} leader - A row representing the team leader's data.
  * @param {Array} member - A row representing the team member's data.
@@ -127,84 +275,280 @@ function findTopMatches(leader, members, columnIndices) {
  * @returns {number} - A numeric match score. Higher scores indicate better alignment.
  */
 function calculateMatchScore(leader, member, columnIndices) {
-  let score = 0;
-  const commonInterests = getCommonItems(leader[columnIndices['Interests']], member[columnIndices['Interests']]);
-  const leaderNeeds = getCommonItems(leader[columnIndices['Skills Needed in Teammates']], member[columnIndices['Skills to Contribute']]);
-  const memberNeeds = getCommonItems(member[columnIndices['Skills Needed in Teammates']], leader[columnIndices['Skills to Contribute']]);
-  if (commonInterests.length) score += commonInterests.length * 3;
-  if (leaderNeeds.length) score += leaderNeeds.length * 2;
-  if (memberNeeds.length) score += memberNeeds.length;
-  return score;
+  return scoreMatch(leader, member, columnIndices).total;
 }
 
 /**
  * Returns the common items between two semicolon-separated strings.
+ * Items are compared by their canonical taxonomy term (see taxonomy.js), so "AI/ML" matches
+ * "AI & machine learning" and "Software" matches "software".
  *
  * @param {string} list1 - A semicolon-separated string (e.g., "AI; healthcare; software").
  * @param {string} list2 - Another semicolon-separated string.
- * @returns {Array<string>} - An array of items present in both lists.
+ * @returns {Array<string>} - An array of canonical terms present in both lists.
  */
 function getCommonItems(list1, list2) {
-  const set1 = new Set(list1.split(';').map(i => i.trim()));
-  const set2 = new Set(list2.split(';').map(i => i.trim()));
-  return [...set1].filter(item => set2.has(item));
+  const set2 = new Set(canonicalizeList(list2).map(normalizeTerm));
+  return canonicalizeList(list1).filter(item => set2.has(normalizeTerm(item)));
 }
 
 /**
- * Writes all leader-member match results to a Google Sheet, including scores and match details.
+ * Returns the header row of the Matches sheet: the fixed columns followed by one "(points)" column per scoring feature.
  *
- * @param {Sheet} sheet - The sheet where match results will be written.
- * @param {Array<Object>} matches - An array of match objects with leader, member, score, and overlap info.
- * @param {Object} columnIndices - An object mapping column names to their indices in the data rows.
+ * @returns {Array<string>} - The headers.
  */
-function writeMatchesToSheet(sheet, matches, columnIndices) {
+function getMatchHeaders() {
   const headers = [
     'Team Leader Email', 'Team Member Email', 'Match Score', 'Common Interests',
     'Skills Leader Needs', 'Skills Member Needs', 'Match Description',
-    'Leader Description', 'What Member is Looking For', 'What Leader is Looking For'
+    'Leader Description', 'What Member is Looking For', 'What Leader is Looking For', 'Algorithm',
+    'Shared Slots', 'Num Shared Slots'
+  ];
+  Object.values(getScoringFeatures()).forEach(feature => headers.push(`${feature.label} (points)`));
+  return headers;
+}
+
+/**
+ * Converts a match object into a row of the Matches sheet (see `getMatchHeaders()`).
+ *
+ * @param {Object} match - A match object from `buildMatch()`.
+ * @param {Object} columnIndices - An object mapping column names to their indices in the data rows.
+ * @returns {Array} - The sheet row.
+ */
+function buildMatchRow({ leader, member, score, commonInterests, leaderNeeds, memberNeeds, algorithm, sharedSlots, breakdown }, columnIndices) {
+  return [
+    leader[columnIndices['Email']], member[columnIndices['Email']], score,
+    commonInterests.join('; '), leaderNeeds.join('; '), memberNeeds.join('; '),
+    member[columnIndices['teammate_desribe_yourself']], leader[columnIndices['teammate_desribe_yourself']],
+    member[columnIndices['teammate_looking_for']], leader[columnIndices['teammate_looking_for']],
+    algorithm, summarizeSlotKeys(sharedSlots).join(', '), sharedSlots.length,
+    ...Object.keys(getScoringFeatures()).map(key => breakdown ? breakdown[key] : '')
   ];
+}
+
+/**
+ * Writes all leader-member match results to a Google Sheet, including scores and match details.
+ *
+ * @param {Sheet} sheet - The sheet where match results will be written.
+ * @param {Array<Object>} matches - An array of match objects with leader, member, score, overlap info, the algorithm used,
+ *                                   shared weekly slots and the per-feature score breakdown.
+ * @param {Object} columnIndices - An object mapping column names to their indices in the data rows.
+ */
+function writeMatchesToSheet(sheet, matches, columnIndices) {
+  const rows = [getMatchHeaders(), ...matches.map(match => buildMatchRow(match, columnIndices))];
   sheet.clear();
-  sheet.appendRow(headers);
-  matches.forEach(({ leader, member, score, commonInterests, leaderNeeds, memberNeeds }) => {
-    sheet.appendRow([
-      leader[columnIndices['Email']], member[columnIndices['Email']], score,
-      commonInterests.join('; '), leaderNeeds.join('; '), memberNeeds.join('; '),
-      member[columnIndices['teammate_desribe_yourself']], leader[columnIndices['teammate_desribe_yourself']],
-      member[columnIndices['teammate_looking_for']], leader[columnIndices['teammate_looking_for']]
-    ]);
+  sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+/**
+ * Assigns members to leaders to maximize the total match score, while each member appears in at most
+ * `maxExposure` leader lists and, where possible, in at least one. Solved as a min-cost flow:
+ * source -> leader (capacity `leaderQuota`) -> member (capacity 1, cost -score) -> sink, where each member's
+ * first unit to the sink carries a large bonus so covering every member comes before raising the score.
+ *
+ * @param {Array<Array>} leaders - Leader rows (from `separateLeadersAndMembers()`).
+ * @param {Array<Array>} members - Member rows.
+ * @param {Object} columnIndices - An object mapping column names to their indices (output from validateSheet()).
+ * @param {Object} [options={}] - `leaderQuota` (list length per leader, default 5), `maxExposure` (default 2) and
+ *   `isEligible(leader, member)`, which excludes pairs when it returns false.
+ * @returns {Array<Object>} - Pairs of the form `{ leader, member, score }`, grouped by leader and sorted by score.
+ */
+function findFairMatches(leaders, members, columnIndices, { leaderQuota = 5, maxExposure = 2, isEligible = () => true } = {}) {
+  const scores = leaders.map(leader => members.map(member => calculateMatchScore(leader, member, columnIndices)));
+  const maxScore = Math.max(0, ...scores.flat());
+  const coverageBonus = maxScore * leaderQuota * leaders.length + 1; // Outweighs any total score gain
+
+  const source = 0;
+  const leaderNode = l => 1 + l;
+  const memberNode = m => 1 + leaders.length + m;
+  const sink = 1 + leaders.length + members.length;
+  const network = createFlowNetwork(sink + 1);
+
+  const pairEdges = [];
+  leaders.forEach((leader, l) => {
+    addFlowEdge(network, source, leaderNode(l), leaderQuota);
+    members.forEach((member, m) => {
+      if (!isEligible(leader, member)) return;
+      pairEdges.push({ l, m, edge: addFlowEdge(network, leaderNode(l), memberNode(m), 1, -scores[l][m]) });
+    });
+  });
+  members.forEach((_, m) => {
+    if (maxExposure < 1) return;
+    addFlowEdge(network, memberNode(m), sink, 1, -coverageBonus);
+    if (maxExposure > 1) addFlowEdge(network, memberNode(m), sink, maxExposure - 1);
+  });
+
+  minCostMaxFlow(network, source, sink);
+
+  const pairs = [];
+  leaders.forEach((leader, l) => {
+    pairEdges
+      .filter(pair => pair.l === l && getEdgeFlow(network, pair.edge) > 0)
+      .map(({ m }) => ({ leader, member: members[m], score: scores[l][m] }))
+      .sort((a, b) => b.score - a.score)
+      .forEach(pair => pairs.push(pair));
   });
+  return pairs;
+}
+
+/**
+ * Writes per-member exposure counts (how many leader lists each member appears in) before and after
+ * fair assignment, plus summary statistics, so organizers can compare the two distributions.
+ *
+ * @param {Array<Array>} members - Member rows.
+ * @param {Array<Object>} beforeMatches - Matches from the top-5 mode.
+ * @param {Array<Object>} afterMatches - Matches from the fair mode.
+ * @param {Object} columnIndices - An object mapping column names to their indices.
+ * @param {string} [sheetName="Exposure Summary"] - Name of the sheet to write to (created or cleared if exists).
+ */
+function writeExposureSummary(members, beforeMatches, afterMatches, columnIndices, sheetName = 'Exposure Summary') {
+  const emailIndex = columnIndices['Email'];
+  const countExposure = matches => {
+    const counts = {};
+    matches.forEach(({ member }) => counts[member[emailIndex]] = (counts[member[emailIndex]] || 0) + 1);
+    return members.map(member => counts[member[emailIndex]] || 0);
+  };
+  const before = countExposure(beforeMatches);
+  const after = countExposure(afterMatches);
+
+  const stats = counts => [
+    counts.filter(count => count === 0).length,
+    Math.max(0, ...counts),
+    counts.length ? Math.round(counts.reduce((sum, count) => sum + count, 0) / counts.length * 100) / 100 : 0
+  ];
+  const [beforeStats, afterStats] = [stats(before), stats(after)];
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(sheetName) || ss.insertSheet(sheetName);
+  sheet.clear();
+
+  const rows = [['Member Email', 'Exposure (Top Matches)', 'Exposure (Fair)']];
+  members.forEach((member, m) => rows.push([member[emailIndex], before[m], after[m]]));
+  sheet.getRange(1, 1, rows.length, 3).setValues(rows);
+
+  const summary = [
+    ['Statistic', 'Top Matches', 'Fair'],
+    ['Members With No Matches', beforeStats[0], afterStats[0]],
+    ['Max Exposure', beforeStats[1], afterStats[1]],
+    ['Average Exposure', beforeStats[2], afterStats[2]]
+  ];
+  sheet.getRange(1, 5, summary.length, 3).setValues(summary);
+
+  Logger.log(`Exposure summary written to sheet ${sheetName}`);
+}
+
+/**
+ * Builds the hard filter applied to leader-member pairs before any algorithm runs: pairs must share at least
+ * `minOverlap` weekly availability slots and must not have been declined in the "Match Feedback" sheet.
+ *
+ * @param {Object} columnIndices - An object mapping column names to their indices.
+ * @param {number} minOverlap - Minimum number of shared weekly slots (0 disables the filter).
+ * @param {Object} [feedback=readMatchFeedback()] - Feedback lookups from `readMatchFeedback()`.
+ * @returns {Function} - `(leader, member) => boolean`, true if the pair may be matched.
+ */
+function buildEligibilityFilter(columnIndices, minOverlap, feedback = readMatchFeedback()) {
+  const emailIndex = columnIndices['Email'];
+  return (leader, member) => {
+    if (feedback.declinedPairs.has(getFeedbackKey(leader[emailIndex], member[emailIndex]))) return false;
+    if (!(minOverlap > 0)) return true;
+    return getSharedSlots(leader[emailIndex], member[emailIndex], getScoringModel()).length >= minOverlap;
+  };
+}
+
+/**
+ * Builds a match object with the overlap details shown in the Matches sheet.
+ *
+ * @param {Array} leader - A row representing the team leader's data.
+ * @param {Array} member - A row representing the team member's data.
+ * @param {number} score - The pair's match score.
+ * @param {Object} columnIndices - An object mapping column names to their indices.
+ * @param {string} algorithm - The algorithm that produced the pair (e.g., "top" or "stable").
+ * @returns {Object} - The match object expected by `writeMatchesToSheet()`, including the leader's score breakdown
+ *                     and the weekly slots both are available.
+ */
+function buildMatch(leader, member, score, columnIndices, algorithm) {
+  return {
+    leader, member, score, algorithm,
+    breakdown: scoreMatch(leader, member, columnIndices).breakdown,
+    sharedSlots: getSharedSlots(leader[columnIndices['Email']], member[columnIndices['Email']], getScoringModel()),
+    commonInterests: getCommonItems(leader[columnIndices['Interests']], member[columnIndices['Interests']]),
+    leaderNeeds: getCommonItems(leader[columnIndices['Skills Needed in Teammates']], member[columnIndices['Skills to Contribute']]),
+    memberNeeds: getCommonItems(member[columnIndices['Skills Needed in Teammates']], leader[columnIndices['Skills to Contribute']])
+  };
 }
 
 /**
  * Runs the full teammate matchmaking process:
  * - Validates the sheet
  * - Separates leaders and members
- * - Calculates top matches for each leader
- * - Writes all matches with scores and overlap details to the "Matches" sheet
+ * - Pairs leaders and members with the chosen algorithm:
+ *   - "top": each leader's top 5 members (see `findTopMatches()`)
+ *   - "stable": stable matching with leader quotas and member caps (see `findStableMatches()`)
+ *   - "fair": highest total score with each member in at most `memberCap` lists and at least one
+ *     (see `findFairMatches()`); also writes the "Exposure Summary" sheet
+ * - Drops pairs with fewer shared weekly slots than `minAvailabilityOverlap` (if set), pairs marked declined
+ *   and members marked teamed in the "Match Feedback" sheet
+ * - Writes all matches with scores and overlap details to the matches sheet ("Matches" by default)
+ *   and adds the new pairs to the "Match Feedback" sheet
+ * - Stores a fingerprint of every student row for `runIncrementalMatchmaking()`
+ *
+ * @param {Object} [options={}] - Optional overrides of the config: `algorithm` (`matchmakingAlgorithm`),
+ *   `leaderQuota` (`leaderMatchQuota`), `leaderQuotas` (per-leader quotas by email), `memberCap` (`memberMatchCap`)
+ *   and `minAvailabilityOverlap` (`minAvailabilityOverlap`).
  */
-function runMatchmaking() {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('data-driven-matchmaking');
+function runMatchmaking(options = {}) {
+  const config = getConfig();
+  const algorithm = options.algorithm || config.matchmakingAlgorithm;
+  if (!['top', 'stable', 'fair'].includes(algorithm)) {
+    throw new Error(`Unknown matchmaking algorithm '${algorithm}'. Use "top", "stable" or "fair".`);
+  }
+
+  const sheetKey = getMatchmakingSheetKey(config);
+  assertConfiguredSheetsExist(config, [sheetKey]);
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(config[sheetKey]);
   const columnIndices = validateSheet(sheet);
   if (!columnIndices) {
     Logger.log('Sheet validation failed. Please check column names.');
     return;
   }
   const data = sheet.getDataRange().getValues().slice(1);
-  const { leaders, members } = separateLeadersAndMembers(data, columnIndices);
+  const feedback = readMatchFeedback();
+  const { leaders, members: allMembers } = separateLeadersAndMembers(data, columnIndices);
+  const members = allMembers.filter(member => !feedback.teamedMembers.has(String(member[columnIndices['Email']]).trim().toLowerCase()));
+  const isEligible = buildEligibilityFilter(columnIndices,
+    options.minAvailabilityOverlap !== undefined ? options.minAvailabilityOverlap : config.minAvailabilityOverlap, feedback);
+
   let allMatches = [];
-  leaders.forEach(leader => {
-    const topMatches = findTopMatches(leader, members, columnIndices);
-    topMatches.forEach(({ member, score }) => {
-      allMatches.push({
-        leader, member, score,
-        commonInterests: getCommonItems(leader[columnIndices['Interests']], member[columnIndices['Interests']]),
-        leaderNeeds: getCommonItems(leader[columnIndices['Skills Needed in Teammates']], member[columnIndices['Skills to Contribute']]),
-        memberNeeds: getCommonItems(member[columnIndices['Skills Needed in Teammates']], leader[columnIndices['Skills to Contribute']])
+  if (algorithm === 'stable') {
+    const stableMatches = findStableMatches(leaders, members, columnIndices, {
+      leaderQuota: options.leaderQuota || config.leaderMatchQuota,
+      leaderQuotas: options.leaderQuotas || {},
+      memberCap: options.memberCap || config.memberMatchCap,
+      isEligible
+    });
+    stableMatches.forEach(({ leader, member, score }) => {
+      allMatches.push(buildMatch(leader, member, score, columnIndices, algorithm));
+    });
+  } else {
+    leaders.forEach(leader => {
+      const topMatches = findTopMatches(leader, members.filter(member => isEligible(leader, member)), columnIndices);
+      topMatches.forEach(({ member, score }) => {
+        allMatches.push(buildMatch(leader, member, score, columnIndices, 'top'));
       });
     });
-  });
-  const matchSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Matches') ||
-                     SpreadsheetApp.getActiveSpreadsheet().insertSheet('Matches');
+  }
+  if (algorithm === 'fair') {
+    const topMatches = allMatches;
+    allMatches = findFairMatches(leaders, members, columnIndices, {
+      leaderQuota: options.leaderQuota || config.leaderMatchQuota,
+      maxExposure: options.memberCap || config.memberMatchCap,
+      isEligible
+    }).map(({ leader, member, score }) => buildMatch(leader, member, score, columnIndices, algorithm));
+    writeExposureSummary(members, topMatches, allMatches, columnIndices);
+  }
+  const matchSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(config.matchesSheet) ||
+                     SpreadsheetApp.getActiveSpreadsheet().insertSheet(config.matchesSheet);
   writeMatchesToSheet(matchSheet, allMatches, columnIndices);
+  writeRowFingerprints(computeRowFingerprints([...leaders, ...allMembers], columnIndices));
+  syncMatchFeedbackSheet();
 }
-
@@ -0,0 +1,187 @@
+/**
+ * Doc Generation Job
+ *
+ * This file generates the leader and member match docs in checkpointed batches, so a few hundred students
+ * no longer run into the 6-minute Apps Script execution limit. Each batch stops well before the limit,
+ * saves its position in the script properties and schedules the next batch with a time-driven trigger.
+ *
+ * ✅ Usage:
+ *   - Run `startDocGenerationJob()` (Activities > Generate Match Docs). Batches continue on their own
+ *     until every leader and member doc is done; progress is in the execution log.
+ *   - `getDocGenerationJobStatus()` logs where the job is; `cancelDocGenerationJob()` stops it.
+ *
+ * ⚠️ Notes:
+ *   - Generation is idempotent (see `createDocsForGroups()`): students whose doc is unchanged are skipped,
+ *     changed docs are rewritten in place and the links sheets are updated rather than cleared, so an
+ *     interrupted or repeated job never creates duplicates.
+ *   - A batch that throws (e.g., a Drive or DocumentApp error) keeps its checkpoint and is retried a minute
+ *     later; after `getDocGenerationMaxFailures()` failed batches in a row the job stops and
+ *     `getDocGenerationJobStatus()` reports the error.
+ *   - Only changes to a template's text are detected; after changing only its formatting, clear the
+ *     "Content Fingerprint" column of the links sheets to regenerate every doc.
+ */
+
+/**
+ * Returns the script property key holding the job's checkpoint.
+ *
+ * @returns {string} - The property key.
+ */
+function getDocGenerationJobKey() {
+  return 'docGenerationJob';
+}
+
+/**
+ * Returns how many batches in a row may fail before the job stops retrying.
+ *
+ * @returns {number} - The maximum number of consecutive failed batches.
+ */
+function getDocGenerationMaxFailures() {
+  return 3;
+}
+
+/**
+ * Starts (or restarts from the beginning) the doc generation job and runs its first batch.
+ *
+ * @param {Object} [options={}] - Job settings.
+ * @param {number} [options.batchMinutes=4.5] - How long each batch may run before checkpointing.
+ */
+function startDocGenerationJob({ batchMinutes = 4.5 } = {}) {
+  const config = getConfig();
+  assertConfiguredSheetsExist(config, [getMatchmakingSheetKey(config), 'matchesSheet']);
+
+  deleteDocGenerationTriggers();
+  saveDocGenerationJob({ role: 'leader', index: 0, batchMinutes, batches: 0, failures: 0, startedAt: new Date().toISOString() });
+  continueDocGenerationJob();
+}
+
+/**
+ * Runs one batch of the doc generation job from its checkpoint. Called by the time-driven trigger.
+ */
+function continueDocGenerationJob() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(1000)) {
+    Logger.log('Another doc generation batch is still running; skipping this one.');
+    return;
+  }
+
+  try {
+    const job = loadDocGenerationJob();
+    if (!job) {
+      Logger.log('No doc generation job in progress.');
+      deleteDocGenerationTriggers();
+      return;
+    }
+    if (job.failedAt) {
+      Logger.log(`Doc generation stopped after repeated errors (${job.lastError}); run startDocGenerationJob() to restart.`);
+      deleteDocGenerationTriggers();
+      return;
+    }
+
+    const config = getConfig();
+    const deadline = Date.now() + job.batchMinutes * 60 * 1000;
+    const generators = { leader: createMatchDocs, member: createMemberMatchDocs };
+    job.batches++;
+
+    try {
+      while (job.role) {
+        const { next, total } = generators[job.role](config[getMatchmakingSheetKey(config)], config.matchesSheet, { startIndex: job.index, deadline });
+        if (next < total) {
+          // Out of time: checkpoint and continue in a new execution
+          job.index = next;
+          job.failures = 0;
+          saveDocGenerationJob(job);
+          scheduleDocGenerationBatch();
+          Logger.log(`Doc generation paused at ${job.role} ${next} of ${total}; next batch scheduled.`);
+          return;
+        }
+        job.role = job.role === 'leader' ? 'member' : null;
+        job.index = 0;
+      }
+    } catch (error) {
+      // Docs finished before the error are in the links sheets, so retrying from the checkpoint skips them
+      job.failures = (job.failures || 0) + 1;
+      job.lastError = error.message;
+      if (job.failures < getDocGenerationMaxFailures()) {
+        saveDocGenerationJob(job);
+        scheduleDocGenerationBatch();
+        Logger.log(`Doc generation batch failed at ${job.role} ${job.index} (${error.message}); retry scheduled.`);
+      } else {
+        job.failedAt = new Date().toISOString();
+        saveDocGenerationJob(job);
+        deleteDocGenerationTriggers();
+        Logger.log(`Doc generation stopped at ${job.role} ${job.index} after ${job.failures} failed batches: ${error.message}`);
+      }
+      return;
+    }
+
+    PropertiesService.getScriptProperties().deleteProperty(getDocGenerationJobKey());
+    deleteDocGenerationTriggers();
+    Logger.log(`Doc generation finished in ${job.batches} batch(es), started ${job.startedAt}.`);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Logs and returns the checkpoint of the job.
+ *
+ * @returns {Object|null} - `{ role, index, batchMinutes, batches, failures, startedAt }` plus `lastError` after a
+ *   failed batch and `failedAt` once the job gave up, or null if no job is running.
+ */
+function getDocGenerationJobStatus() {
+  const job = loadDocGenerationJob();
+  if (!job) {
+    Logger.log('No doc generation job in progress.');
+  } else if (job.failedAt) {
+    Logger.log(`Doc generation failed at ${job.role} ${job.index} on ${job.failedAt}: ${job.lastError}`);
+  } else {
+    Logger.log(`Doc generation at ${job.role} ${job.index} after ${job.batches} batch(es)` +
+               (job.failures ? `; last batch failed (${job.lastError}), retry scheduled.` : '.'));
+  }
+  return job;
+}
+
+/**
+ * Stops the job: removes its checkpoint and pending triggers. Docs generated so far are kept.
+ */
+function cancelDocGenerationJob() {
+  PropertiesService.getScriptProperties().deleteProperty(getDocGenerationJobKey());
+  deleteDocGenerationTriggers();
+  Logger.log('Doc generation job cancelled.');
+}
+
+/**
+ * Reads the job checkpoint from the script properties.
+ *
+ * @returns {Object|null} - The checkpoint, or null if there is none.
+ */
+function loadDocGenerationJob() {
+  const json = PropertiesService.getScriptProperties().getProperty(getDocGenerationJobKey());
+  return json ? JSON.parse(json) : null;
+}
+
+/**
+ * Writes the job checkpoint to the script properties.
+ *
+ * @param {Object} job - The checkpoint.
+ */
+function saveDocGenerationJob(job) {
+  PropertiesService.getScriptProperties().setProperty(getDocGenerationJobKey(), JSON.stringify(job));
+}
+
+/**
+ * Schedules the next batch a minute from now, replacing any pending one.
+ */
+function scheduleDocGenerationBatch() {
+  deleteDocGenerationTriggers();
+  ScriptApp.newTrigger('continueDocGenerationJob').timeBased().after(60 * 1000).create();
+}
+
+/**
+ * Deletes the job's pending time-driven triggers.
+ */
+function deleteDocGenerationTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'continueDocGenerationJob')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
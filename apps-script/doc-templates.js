@@ -0,0 +1,378 @@
+/**
+ * Match Doc Templates
+ *
+ * This file renders match docs from templates instead of building them paragraph by paragraph, so the
+ * wording can be changed without editing code. Leader and member docs are filled from the same match-view
+ * model (`buildMatchView()`), and the same template engine renders into a Google Doc or into plain text.
+ *
+ * ✅ Usage:
+ *   - Create a Google Doc with placeholders and put its ID in `leaderDocTemplateId` or `memberDocTemplateId`
+ *     in the "Config" sheet. Without an ID the built-in templates (`getDefaultDocTemplate()`) are used.
+ *   - Placeholders: `{{firstName}}` inserts a value, `{{#matches}} … {{/matches}}` repeats its paragraphs for
+ *     each match (or shows them once if the value is true or non-empty), `{{^minor}} … {{/minor}}` shows its
+ *     paragraphs only if the value is empty, and `{{.}}` is the current item of a list (e.g., each interest).
+ *   - `renderTemplate(text, view)` renders a template to plain text, e.g. to preview wording or check a
+ *     template without DocumentApp.
+ *
+ * ⚠️ Notes:
+ *   - A section tag on its own paragraph repeats whole paragraphs (keeping their heading, bullet and text
+ *     formatting); a section inside a paragraph repeats text within it, and the paragraph is dropped if it
+ *     renders empty.
+ *   - Tables and other non-paragraph elements of a template Doc are copied as they are, without placeholders.
+ *   - In the built-in templates a line starting with "# " is a heading, "- " a bullet and "**" a bold line.
+ */
+
+/**
+ * Returns the built-in template for leader or member docs.
+ *
+ * @param {string} role - "leader" or "member".
+ * @returns {string} - The template text.
+ */
+function getDefaultDocTemplate(role) {
+  const isLeader = role === 'leader';
+  return [
+    `# Match Information for Team ${isLeader ? 'Leader' : 'Member'}: {{firstName}} {{lastName}}`,
+    '{{#matches}}',
+    `**${isLeader ? 'Match' : 'Team Leader'}: {{firstName}} {{lastName}} ({{email}})`,
+    'Match Score: {{score}}',
+    'Graduation Year: {{gradYear}}',
+    'Student Classification: {{studentClass}}',
+    'Major: {{major}}',
+    '{{#minor}}Minor: {{minor}}{{/minor}}',
+    '**Common interests:',
+    '{{#commonInterests}}',
+    '- {{.}}',
+    '{{/commonInterests}}',
+    isLeader ? '**Skills {{firstName}} has that you need:' : '**Skills you have that {{firstName}} needs:',
+    isLeader ? '{{#skillsTheyOffer}}' : '{{#skillsYouOffer}}',
+    '- {{.}}',
+    isLeader ? '{{/skillsTheyOffer}}' : '{{/skillsYouOffer}}',
+    isLeader ? '**Skills you have that {{firstName}} wants:' : '**Skills {{firstName}} has that you want:',
+    isLeader ? '{{#skillsYouOffer}}' : '{{#skillsTheyOffer}}',
+    '- {{.}}',
+    isLeader ? '{{/skillsYouOffer}}' : '{{/skillsTheyOffer}}',
+    '{{#hasSharedSlots}}',
+    '**Times you and {{firstName}} are both free:',
+    '{{#sharedSlots}}',
+    '- {{.}}',
+    '{{/sharedSlots}}',
+    '{{/hasSharedSlots}}',
+    '**Who {{firstName}} is:',
+    '- {{description}}',
+    '**What {{firstName}} is looking for:',
+    '- {{lookingFor}}',
+    '-----------------',
+    '{{/matches}}'
+  ].join('\n');
+}
+
+/**
+ * Builds the view a match doc is rendered from: the recipient and each of their matches, described from
+ * the recipient's side.
+ *
+ * @param {string} email - The recipient's email.
+ * @param {string} role - "leader" (the rows are the leader's matches) or "member" (the member's matches).
+ * @param {Array<Array>} rows - The recipient's rows from the Matches sheet, in display order.
+ * @param {Array<Array>} studentData - All rows of the student info sheet (for names, majors, etc.).
+ * @returns {Object} - `{ role, isLeader, email, firstName, lastName, matchCount, matches }`, where each match is
+ *   `{ email, firstName, lastName, gradYear, major, minor, studentClass, score, commonInterests, skillsTheyOffer,
+ *   skillsYouOffer, sharedSlots, hasSharedSlots, description, lookingFor }`. Matches missing from the info
+ *   sheet are left out.
+ */
+function buildMatchView(email, role, rows, studentData) {
+  const isLeader = role === 'leader';
+  const [firstName, lastName] = getNameByEmail(email, studentData);
+  const splitList = (value, separator) => String(value || '').split(separator).map(item => item.trim()).filter(item => item);
+  const unquote = value => String(value || '').replace(/^"(.*)"$/, '$1');
+
+  const matches = [];
+  rows.forEach(row => {
+    const matchEmail = isLeader ? row[1] : row[0];
+    const matchRow = getRowByEmail(matchEmail, studentData);
+    if (!matchRow) return;
+
+    const sharedSlots = splitList(row[11], ',');
+    matches.push({
+      email: matchEmail,
+      firstName: matchRow[1],
+      lastName: matchRow[2],
+      gradYear: matchRow[7],
+      major: matchRow[8],
+      minor: matchRow[9],
+      studentClass: matchRow[15],
+      score: row[2],
+      commonInterests: splitList(row[3], ';'),
+      skillsTheyOffer: splitList(isLeader ? row[4] : row[5], ';'),
+      skillsYouOffer: splitList(isLeader ? row[5] : row[4], ';'),
+      sharedSlots,
+      hasSharedSlots: sharedSlots.length > 0,
+      description: unquote(isLeader ? row[6] : row[7]),
+      lookingFor: unquote(isLeader ? row[8] : row[9])
+    });
+  });
+
+  return { role, isLeader, email, firstName, lastName, matchCount: matches.length, matches };
+}
+
+/**
+ * Renders a template to plain text.
+ *
+ * @param {string} template - The template text.
+ * @param {Object} view - The values to fill in (e.g., from `buildMatchView()`).
+ * @returns {string} - The rendered text.
+ * @throws {Error} - If a section is not closed or closed in the wrong order.
+ */
+function renderTemplate(template, view) {
+  const output = [];
+  const lines = String(template).split('\n').map(text => ({ text }));
+  renderTemplateLines(parseTemplateLines(lines), [view], (line, text) => output.push(text));
+  return output.join('\n');
+}
+
+/**
+ * Renders a template into a Google Doc body, appending one paragraph per rendered template paragraph.
+ *
+ * @param {Array<Object>} lines - Template lines from `getDocTemplateLines()`.
+ * @param {Object} view - The values to fill in (e.g., from `buildMatchView()`).
+ * @param {Body} body - The body of the doc to fill.
+ */
+function renderDocTemplate(lines, view, body) {
+  renderTemplateLines(parseTemplateLines(lines), [view], (line, text, stack) => {
+    if (!line.element) {
+      appendStyledLine(body, text);
+      return;
+    }
+
+    const type = line.element.getType();
+    if (type === DocumentApp.ElementType.PARAGRAPH || type === DocumentApp.ElementType.LIST_ITEM) {
+      const copy = type === DocumentApp.ElementType.PARAGRAPH
+        ? body.appendParagraph(line.element.copy())
+        : body.appendListItem(line.element.copy());
+      fillDocPlaceholders(copy.editAsText(), line.text, text, stack);
+    } else if (type === DocumentApp.ElementType.TABLE) {
+      body.appendTable(line.element.copy());
+    }
+  });
+}
+
+/**
+ * Returns the template lines for leader or member docs: the paragraphs of the configured template Doc,
+ * or the lines of the built-in template.
+ *
+ * @param {string} role - "leader" or "member".
+ * @returns {Array<Object>} - Lines of the form `{ text, element }` (element is null for built-in lines).
+ */
+function getDocTemplateLines(role) {
+  const templateId = getConfig()[role === 'leader' ? 'leaderDocTemplateId' : 'memberDocTemplateId'];
+  if (!templateId) {
+    return getDefaultDocTemplate(role).split('\n').map(text => ({ text, element: null }));
+  }
+
+  const body = DocumentApp.openById(templateId).getBody();
+  const lines = [];
+  for (let i = 0; i < body.getNumChildren(); i++) {
+    const element = body.getChild(i);
+    const type = element.getType();
+    const isText = type === DocumentApp.ElementType.PARAGRAPH || type === DocumentApp.ElementType.LIST_ITEM;
+    lines.push({ text: isText ? element.asText().getText() : '', element });
+  }
+  return lines;
+}
+
+/**
+ * Groups template lines into sections. A line holding nothing but `{{#name}}`, `{{^name}}` or `{{/name}}`
+ * opens or closes a section; every other line is kept as is.
+ *
+ * @param {Array<Object>} lines - Template lines with a `text` property.
+ * @returns {Array<Object>} - Nodes of the form `{ line }` or `{ name, inverted, children }`.
+ * @throws {Error} - If a section is not closed or closed in the wrong order.
+ */
+function parseTemplateLines(lines) {
+  const root = { children: [] };
+  const open = [root];
+  lines.forEach(line => {
+    const tag = String(line.text).trim().match(/^\{\{\s*([#^/])\s*([\w.]+)\s*\}\}$/);
+    const current = open[open.length - 1];
+    if (!tag) {
+      current.children.push({ line });
+    } else if (tag[1] === '/') {
+      if (current.name !== tag[2]) {
+        throw new Error(`Template section {{/${tag[2]}}} does not match ${current.name ? `{{#${current.name}}}` : 'an open section'}.`);
+      }
+      open.pop();
+    } else {
+      const section = { name: tag[2], inverted: tag[1] === '^', children: [] };
+      current.children.push(section);
+      open.push(section);
+    }
+  });
+
+  if (open.length > 1) throw new Error(`Template section {{#${open[open.length - 1].name}}} is not closed.`);
+  return root.children;
+}
+
+/**
+ * Renders parsed template lines, calling `emit` for every line that appears in the output.
+ *
+ * @param {Array<Object>} nodes - Nodes from `parseTemplateLines()`.
+ * @param {Array<Object>} stack - The view contexts, innermost last.
+ * @param {Function} emit - `(line, text, stack) => void`, called with the template line and its rendered text.
+ */
+function renderTemplateLines(nodes, stack, emit) {
+  nodes.forEach(node => {
+    if (node.line) {
+      const text = renderTemplateText(node.line.text, stack);
+      // Drop paragraphs that only held an inline section that rendered nothing
+      if (text === '' && /\{\{\s*[#^]/.test(node.line.text)) return;
+      emit(node.line, text, stack);
+    } else {
+      forEachSectionContext(node, stack, sectionStack => renderTemplateLines(node.children, sectionStack, emit));
+    }
+  });
+}
+
+/**
+ * Renders the placeholders and inline sections within one line of text.
+ *
+ * @param {string} text - The template text.
+ * @param {Array<Object>} stack - The view contexts, innermost last.
+ * @returns {string} - The rendered text.
+ * @throws {Error} - If an inline section is not closed or closed in the wrong order.
+ */
+function renderTemplateText(text, stack) {
+  const root = { children: [] };
+  const open = [root];
+  const pattern = /\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+  let last = 0;
+  let tag;
+  while ((tag = pattern.exec(text)) !== null) {
+    const current = open[open.length - 1];
+    if (tag.index > last) current.children.push({ text: text.slice(last, tag.index) });
+    last = pattern.lastIndex;
+
+    if (tag[1] === '') {
+      current.children.push({ variable: tag[2] });
+    } else if (tag[1] === '/') {
+      if (current.name !== tag[2]) throw new Error(`Template section {{/${tag[2]}}} does not match in "${text}".`);
+      open.pop();
+    } else {
+      const section = { name: tag[2], inverted: tag[1] === '^', children: [] };
+      current.children.push(section);
+      open.push(section);
+    }
+  }
+  if (last < text.length) open[open.length - 1].children.push({ text: text.slice(last) });
+  if (open.length > 1) throw new Error(`Template section {{#${open[open.length - 1].name}}} is not closed in "${text}".`);
+
+  const render = (nodes, nodeStack) => nodes.map(node => {
+    if (node.text !== undefined) return node.text;
+    if (node.variable !== undefined) return formatTemplateValue(lookupTemplateValue(node.variable, nodeStack));
+    const parts = [];
+    forEachSectionContext(node, nodeStack, sectionStack => parts.push(render(node.children, sectionStack)));
+    return parts.join('');
+  }).join('');
+  return render(root.children, stack);
+}
+
+/**
+ * Calls `fn` once per rendering of a section: once per item for a list, once for any other non-empty value,
+ * and never for an empty one (the reverse for inverted sections).
+ *
+ * @param {Object} section - `{ name, inverted }`.
+ * @param {Array<Object>} stack - The view contexts, innermost last.
+ * @param {Function} fn - Called with the context stack to render the section with.
+ */
+function forEachSectionContext(section, stack, fn) {
+  const value = lookupTemplateValue(section.name, stack);
+  const isEmpty = value === undefined || value === null || value === false || value === '' ||
+                  (Array.isArray(value) && value.length === 0);
+
+  if (section.inverted) {
+    if (isEmpty) fn(stack);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => fn([...stack, item]));
+  } else if (!isEmpty) {
+    fn(typeof value === 'object' ? [...stack, value] : stack);
+  }
+}
+
+/**
+ * Looks up a (possibly dotted) name in the view contexts, innermost first. `.` is the innermost context.
+ *
+ * @param {string} name - The placeholder name (e.g., "firstName", "match.score" or ".").
+ * @param {Array<Object>} stack - The view contexts, innermost last.
+ * @returns {*} - The value, or undefined if no context has it.
+ */
+function lookupTemplateValue(name, stack) {
+  if (name === '.') return stack[stack.length - 1];
+
+  const [first, ...rest] = name.split('.');
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const context = stack[i];
+    if (context !== null && typeof context === 'object' && first in context) {
+      return rest.reduce((value, key) => value === undefined || value === null ? undefined : value[key], context[first]);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Formats a value for insertion into a document.
+ *
+ * @param {*} value - The value.
+ * @returns {string} - The text ("" for missing values, items joined by ", " for lists).
+ */
+function formatTemplateValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+}
+
+/**
+ * Replaces the placeholders in a copied template paragraph. Paragraphs with only `{{name}}` placeholders
+ * are filled in place so their text formatting is kept; paragraphs with inline sections are replaced by
+ * their rendered text.
+ *
+ * @param {Text} textElement - The text of the copied paragraph.
+ * @param {string} templateText - The paragraph's template text.
+ * @param {string} renderedText - The paragraph rendered as plain text.
+ * @param {Array<Object>} stack - The view contexts, innermost last.
+ */
+function fillDocPlaceholders(textElement, templateText, renderedText, stack) {
+  if (/\{\{\s*[#^/]/.test(templateText)) {
+    textElement.setText(renderedText);
+    return;
+  }
+
+  const placeholders = [];
+  const pattern = /\{\{\s*([\w.]+)\s*\}\}/g;
+  let tag;
+  while ((tag = pattern.exec(templateText)) !== null) {
+    placeholders.push({ start: tag.index, end: pattern.lastIndex - 1, name: tag[1] });
+  }
+  // Replace from the end so earlier offsets stay valid
+  placeholders.reverse().forEach(({ start, end, name }) => {
+    const value = formatTemplateValue(lookupTemplateValue(name, stack));
+    if (value) textElement.insertText(end + 1, value);
+    textElement.deleteText(start, end);
+  });
+}
+
+/**
+ * Appends a line of a built-in template to a doc body, styled by its prefix ("# " heading, "- " bullet,
+ * "**" bold).
+ *
+ * @param {Body} body - The doc body.
+ * @param {string} text - The rendered line.
+ */
+function appendStyledLine(body, text) {
+  if (text.startsWith('# ')) {
+    body.appendParagraph(text.slice(2)).setHeading(DocumentApp.ParagraphHeading.HEADING1);
+  } else if (text.startsWith('- ')) {
+    body.appendListItem(text.slice(2)).setGlyphType(DocumentApp.GlyphType.BULLET).setBold(false);
+  } else if (text.startsWith('**')) {
+    body.appendParagraph(text.slice(2)).setBold(true);
+  } else {
+    body.appendParagraph(text).setBold(false);
+  }
+}
@@ -7,7 +7,7 @@
  * @param {Array<string>} properties - List of HubSpot property names to retrieve and write into the sheet. 
  */
 function updatePropertiesInSheet(properties) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("all-availabilities"); // Replace with your sheet name
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(getConfig().hubspotSheet); // Set by hubspotSheet in the "Config" sheet
   const data = sheet.getDataRange().getValues(); // Get all data from the sheet
   const headers = data[0]; // Assuming the first row contains headers
   const emailIndex = headers.indexOf("Email Address"); // Column with emails
@@ -83,9 +83,11 @@ function getPropertiesFromHubSpot(email, properties) {
 /**
  * Example usage function to populate major and minor fields in the sheet.
  * 
- * Can be modified to call `updatePropertiesInSheet()` with any set of HubSpot properties
- * that are also represented as column headers in the target sheet.
+ * The properties are read from `hubspotProperties` in the "Config" sheet and can be any set of
+ * HubSpot properties that are also represented as column headers in the target sheet.
  */
 function integrateMain() {
-  updatePropertiesInSheet(["primary_field_of_study___major", "secondary_field_of_study___minor"]);
+  const config = getConfig();
+  assertConfiguredSheetsExist(config, ["hubspotSheet"]);
+  updatePropertiesInSheet(config.hubspotProperties);
 }
@@ -0,0 +1,257 @@
+/**
+ * Incremental Matchmaking
+ *
+ * This file updates the Matches sheet for late sign-ups and edited rows without recomputing everyone.
+ * Each row of the matchmaking sheet is fingerprinted (an MD5 hash of its values, the student's availability
+ * slots and the scoring weights);
+ * the next incremental run only re-matches leaders whose own row changed or whose top 5 can be affected
+ * by a new, changed or removed member, and flags whose docs need to be regenerated.
+ *
+ * ✅ Usage:
+ *   - Run `runMatchmaking()` once as usual; it stores the fingerprints in the "Matchmaking Fingerprints" sheet.
+ *   - When students sign up late or edit their answers, run `runIncrementalMatchmaking()`. Rows of unaffected
+ *     leaders stay where they are, the recomputed leaders' rows are appended to the end of "Matches", and
+ *     the leaders and members whose docs changed are appended to the "Docs To Update" sheet.
+ *
+ * ⚠️ Notes:
+ *   - Only the top-5 algorithm is supported: stable and fair matches depend on every pair at once.
+ *   - Without stored fingerprints or a Matches sheet (or if the Matches columns changed), a full run is done.
+ *   - Changing the scoring weights changes every fingerprint, so every leader is recomputed. The same goes for
+ *     any edit to the free-text answers while "Looking For Similarity" is weighted, since the TF-IDF weights
+ *     depend on the whole corpus.
+ *   - Edits to the availability sheet mark the student as changed, so shared slots and the
+ *     `minAvailabilityOverlap` filter stay current.
+ *   - Declined pairs and teamed members from "Match Feedback" are applied to the recomputed leaders, and a
+ *     leader whose current list contains one is recomputed.
+ */
+
+/**
+ * Updates the Matches sheet for rows that are new or changed since the last run.
+ *
+ * @param {Object} [options={}] - Optional overrides of the config: `minAvailabilityOverlap`.
+ * @throws {Error} - If the Matches sheet was produced by an algorithm other than "top".
+ */
+function runIncrementalMatchmaking(options = {}) {
+  const config = getConfig();
+  const sheetKey = getMatchmakingSheetKey(config);
+  assertConfiguredSheetsExist(config, [sheetKey]);
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(config[sheetKey]);
+  const matchSheet = ss.getSheetByName(config.matchesSheet);
+  const storedFingerprints = readRowFingerprints();
+  const oldValues = matchSheet ? matchSheet.getDataRange().getValues() : [];
+  const headers = getMatchHeaders();
+
+  if (Object.keys(storedFingerprints).length === 0 || oldValues.length === 0 ||
+      oldValues[0].join('|') !== headers.join('|')) {
+    Logger.log('No previous run to build on; running full matchmaking.');
+    runMatchmaking({ ...options, algorithm: 'top' });
+    return;
+  }
+  const algorithmIndex = headers.indexOf('Algorithm');
+  if (oldValues.slice(1).some(row => row[algorithmIndex] && row[algorithmIndex] !== 'top')) {
+    throw new Error(`Incremental matchmaking only supports the "top" algorithm. Run runMatchmaking() for a full run.`);
+  }
+
+  const columnIndices = validateSheet(sheet);
+  if (!columnIndices) {
+    Logger.log('Sheet validation failed. Please check column names.');
+    return;
+  }
+  const feedback = readMatchFeedback();
+  const { leaders, members: allMembers } = separateLeadersAndMembers(sheet.getDataRange().getValues().slice(1), columnIndices);
+  const members = allMembers.filter(member => !feedback.teamedMembers.has(normalizeEmail(member[columnIndices['Email']])));
+  const isEligible = buildEligibilityFilter(columnIndices,
+    options.minAvailabilityOverlap !== undefined ? options.minAvailabilityOverlap : config.minAvailabilityOverlap, feedback);
+
+  // Compare fingerprints to find new and changed students
+  const fingerprints = computeRowFingerprints([...leaders, ...allMembers], columnIndices);
+  const changed = {}; // email -> 'new sign-up' | 'details changed'
+  Object.entries(fingerprints).forEach(([email, fingerprint]) => {
+    if (storedFingerprints[email] !== fingerprint) {
+      changed[email] = storedFingerprints[email] ? 'details changed' : 'new sign-up';
+    }
+  });
+
+  // Old match rows grouped by leader
+  const oldRowsByLeader = {};
+  oldValues.slice(1).forEach(row => {
+    const leaderEmail = normalizeEmail(row[0]);
+    if (leaderEmail) (oldRowsByLeader[leaderEmail] = oldRowsByLeader[leaderEmail] || []).push(row);
+  });
+
+  const memberByEmail = {};
+  members.forEach(member => memberByEmail[normalizeEmail(member[columnIndices['Email']])] = member);
+  const changedMembers = members.filter(member => changed[normalizeEmail(member[columnIndices['Email']])]);
+
+  // Leaders whose top 5 has to be recomputed, and why
+  const affected = {};
+  leaders.forEach(leader => {
+    const leaderEmail = normalizeEmail(leader[columnIndices['Email']]);
+    if (changed[leaderEmail]) {
+      affected[leaderEmail] = changed[leaderEmail];
+      return;
+    }
+
+    const oldRows = oldRowsByLeader[leaderEmail] || [];
+    const staleRow = oldRows.some(row => {
+      const member = memberByEmail[normalizeEmail(row[1])];
+      return !member || changed[normalizeEmail(row[1])] || !isEligible(leader, member);
+    });
+    const lowestScore = oldRows.length < 5 ? -Infinity : Math.min(...oldRows.map(row => Number(row[2])));
+    const outscored = changedMembers.some(member =>
+      isEligible(leader, member) && calculateMatchScore(leader, member, columnIndices) >= lowestScore);
+    if (staleRow || outscored) affected[leaderEmail] = 'matches changed';
+  });
+
+  // Keep the rows of unaffected leaders that are still signed up, and append the recomputed leaders
+  const currentLeaders = new Set(leaders.map(leader => normalizeEmail(leader[columnIndices['Email']])));
+  const keptRows = oldValues.slice(1).filter(row => {
+    const leaderEmail = normalizeEmail(row[0]);
+    return currentLeaders.has(leaderEmail) && !affected[leaderEmail];
+  });
+  const newRows = [];
+  leaders.filter(leader => affected[normalizeEmail(leader[columnIndices['Email']])]).forEach(leader => {
+    const topMatches = findTopMatches(leader, members.filter(member => isEligible(leader, member)), columnIndices);
+    topMatches.forEach(({ member, score }) => {
+      newRows.push(buildMatchRow(buildMatch(leader, member, score, columnIndices, 'top'), columnIndices));
+    });
+  });
+
+  const rows = [headers, ...keptRows, ...newRows];
+  matchSheet.clear();
+  matchSheet.getRange(1, 1, rows.length, headers.length).setValues(rows);
+
+  flagDocsToUpdate(findDocsToUpdate(oldValues.slice(1), newRows, affected, changed));
+  writeRowFingerprints(fingerprints);
+  syncMatchFeedbackSheet();
+  Logger.log(`Incremental matchmaking: ${Object.keys(changed).length} new or changed students, ` +
+             `${Object.keys(affected).length} leaders recomputed, ${newRows.length} match rows appended.`);
+}
+
+/**
+ * Works out which leaders' and members' docs differ after recomputing the affected leaders.
+ *
+ * @param {Array<Array>} oldRows - The Matches rows before the run (without headers).
+ * @param {Array<Array>} newRows - The recomputed Matches rows.
+ * @param {Object} affected - Recomputed leader emails mapped to the reason.
+ * @param {Object} changed - New or changed student emails mapped to the reason.
+ * @returns {Array<Array>} - `[email, role, reason]` rows, one per doc.
+ */
+function findDocsToUpdate(oldRows, newRows, affected, changed) {
+  const pairSummary = rows => rows.map(row => `${normalizeEmail(row[1])}:${row[2]}`).join(',');
+  const rowsByLeader = (rows, leaderEmail) => rows.filter(row => normalizeEmail(row[0]) === leaderEmail);
+  const flags = [];
+
+  Object.entries(affected).forEach(([leaderEmail, reason]) => {
+    if (reason === 'matches changed' &&
+        pairSummary(rowsByLeader(oldRows, leaderEmail)) === pairSummary(rowsByLeader(newRows, leaderEmail))) return;
+    flags.push([leaderEmail, 'leader', reason]);
+  });
+
+  // Members who gained or lost a leader, or whose own details changed while they have matches
+  const oldPairs = new Set(oldRows.filter(row => affected[normalizeEmail(row[0])]).map(row => getFeedbackKey(row[0], row[1])));
+  const newPairs = new Set(newRows.map(row => getFeedbackKey(row[0], row[1])));
+  const memberReasons = {};
+  [...oldPairs].filter(key => !newPairs.has(key))
+    .forEach(key => memberReasons[key.split('|')[1]] = 'matches changed');
+  [...newPairs].filter(key => !oldPairs.has(key))
+    .forEach(key => memberReasons[key.split('|')[1]] = 'matches changed');
+  newRows.concat(oldRows).forEach(row => {
+    const memberEmail = normalizeEmail(row[1]);
+    if (changed[memberEmail] && newPairs.has(getFeedbackKey(row[0], row[1]))) memberReasons[memberEmail] = changed[memberEmail];
+  });
+  Object.entries(memberReasons).forEach(([memberEmail, reason]) => flags.push([memberEmail, 'member', reason]));
+
+  return flags;
+}
+
+/**
+ * Appends docs that need regenerating to the "Docs To Update" sheet.
+ *
+ * @param {Array<Array>} flags - `[email, role, reason]` rows from `findDocsToUpdate()`.
+ */
+function flagDocsToUpdate(flags) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Docs To Update');
+  if (!sheet) {
+    sheet = ss.insertSheet('Docs To Update');
+    sheet.appendRow(['Email', 'Role', 'Reason', 'Flagged At']);
+  }
+  if (flags.length === 0) return;
+
+  const flaggedAt = new Date();
+  sheet.getRange(sheet.getLastRow() + 1, 1, flags.length, 4).setValues(flags.map(flag => [...flag, flaggedAt]));
+  Logger.log(`${flags.length} docs flagged in 'Docs To Update'.`);
+}
+
+/**
+ * Fingerprints each student row as the MD5 hash of the row values, the student's availability slots and
+ * the current scoring weights, plus the free-text corpus when "Looking For Similarity" is weighted.
+ *
+ * @param {Array<Array>} rows - Student rows from the matchmaking sheet.
+ * @param {Object} columnIndices - An object mapping column names to their indices.
+ * @returns {Object} - Lowercase emails mapped to hex fingerprints.
+ */
+function computeRowFingerprints(rows, columnIndices) {
+  const model = getScoringModel();
+  // The TF-IDF weights depend on every answer, so a corpus change affects every student
+  const corpus = model.weights.lookingForSimilarity ? computeFingerprint(JSON.stringify(getTextIndex(model, columnIndices))) : '';
+  const shared = JSON.stringify(model.weights) + corpus;
+  const fingerprints = {};
+  rows.forEach(row => {
+    const email = normalizeEmail(row[columnIndices['Email']]);
+    if (!email) return;
+    fingerprints[email] = computeFingerprint(shared + JSON.stringify(row) + JSON.stringify(getStudentSlots(email, model)));
+  });
+  return fingerprints;
+}
+
+/**
+ * Returns the MD5 hash of a text as a hex string.
+ *
+ * @param {string} text - The text to hash.
+ * @returns {string} - The 32-character hex fingerprint.
+ */
+function computeFingerprint(text) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, text, Utilities.Charset.UTF_8);
+  return digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Reads the fingerprints stored by the last run.
+ *
+ * @returns {Object} - Lowercase emails mapped to fingerprints (empty if there was no previous run).
+ */
+function readRowFingerprints() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Matchmaking Fingerprints');
+  const fingerprints = {};
+  if (!sheet) return fingerprints;
+  sheet.getDataRange().getValues().slice(1).forEach(([email, fingerprint]) => {
+    if (email) fingerprints[normalizeEmail(email)] = String(fingerprint);
+  });
+  return fingerprints;
+}
+
+/**
+ * Replaces the stored fingerprints with the given ones.
+ *
+ * @param {Object} fingerprints - Lowercase emails mapped to fingerprints.
+ */
+function writeRowFingerprints(fingerprints) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Matchmaking Fingerprints') || ss.insertSheet('Matchmaking Fingerprints');
+  const rows = [['Email', 'Fingerprint'], ...Object.entries(fingerprints)];
+  sheet.clear();
+  sheet.getRange(1, 1, rows.length, 2).setValues(rows);
+}
+
+/**
+ * Normalizes an email for comparison.
+ *
+ * @param {string} email - The email.
+ * @returns {string} - The trimmed, lowercase email.
+ */
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
@@ -1,7 +1,8 @@
 /**
  * Builds and stores a structured student data object from interest and availability sheets.
  *
- * This function merges data from the "interest-responses" and "final-availabilities" sheets
+ * This function merges data from the interest and availability sheets named in the "Config" sheet
+ * ("interest-responses" and "final-availabilities" by default)
  * into a single studentData object keyed by email. You can control which form is required
  * for a student to be included.
  *
@@ -11,9 +12,10 @@
  * @returns {void}
  */
 function preprocessStudentData(requireAvailability = false, requireInterests = true, propertyKey = "studentData") {
+  const config = getConfig();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const interestsSheet = ss.getSheetByName("interest-responses");
-  const availSheet = ss.getSheetByName("final-availabilities");
+  const interestsSheet = ss.getSheetByName(config.interestSheet);
+  const availSheet = ss.getSheetByName(config.availabilitySheet);
 
   const studentData = {};
 
@@ -28,7 +30,7 @@ function preprocessStudentData(requireAvailability = false, requireInterests = t
     const interestsIndex = headers.indexOf("Interests");
 
     if ([emailIndex, firstNameIndex, lastNameIndex, interestsIndex].includes(-1)) {
-      Logger.log("Missing one or more required columns in interest-responses.");
+      Logger.log(`Missing one or more required columns in ${config.interestSheet}.`);
       if (requireInterests) return;
     } else {
       for (let i = 1; i < interestData.length; i++) {
@@ -37,7 +39,7 @@ function preprocessStudentData(requireAvailability = false, requireInterests = t
         interestLookup[email] = {
           firstName: interestData[i][firstNameIndex],
           lastName: interestData[i][lastNameIndex],
-          interests: interestData[i][interestsIndex]?.split(";").map(i => i.trim()) || []
+          interests: canonicalizeList(interestData[i][interestsIndex])
         };
       }
     }
@@ -46,39 +48,23 @@ function preprocessStudentData(requireAvailability = false, requireInterests = t
   // ---- Parse availability data ----
   let availabilityLookup = {};
   if (availSheet) {
-    const availData = availSheet.getDataRange().getValues();
-    const headers = availData[0];
-    const emailIndex = headers.indexOf("Email Address");
-    const firstNameIndex = headers.indexOf("First Name");
-    const lastNameIndex = headers.indexOf("Last Name");
-
-    if ([emailIndex, firstNameIndex, lastNameIndex].includes(-1)) {
-      Logger.log("Missing one or more required columns in final-availabilities.");
+    let availData, columns;
+    try {
+      ({ data: availData, columns } = readAvailabilitySheet(["email", "firstName", "lastName", "days"]));
+    } catch (error) {
+      Logger.log(error.message);
       if (requireAvailability) return;
-    } else {
-      const days = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
-      const availIndices = {};
-      days.forEach(day => {
-        availIndices[day] = headers.indexOf(`What times are you typically available for the Spring '25 semester? [${day}]`);
-      });
+    }
 
+    if (columns) {
       for (let i = 1; i < availData.length; i++) {
-        const email = availData[i][emailIndex]?.trim().toLowerCase();
+        const email = String(availData[i][columns.email] || "").trim().toLowerCase();
         if (!email) continue;
 
-        let availability = {};
-        days.forEach(day => {
-          const idx = availIndices[day];
-          if (idx !== -1) {
-            const timeSlots = availData[i][idx]?.split(",").map(t => t.trim()).filter(t => t);
-            if (timeSlots.length > 0) availability[day] = timeSlots;
-          }
-        });
-
         availabilityLookup[email] = {
-          firstName: availData[i][firstNameIndex],
-          lastName: availData[i][lastNameIndex],
-          availability: availability
+          firstName: availData[i][columns.firstName],
+          lastName: availData[i][columns.lastName],
+          availability: getRowAvailability(availData[i], columns)
         };
       }
     }
@@ -138,8 +124,13 @@ function logQuery(day, time, interests) {
 /**
  * Processes a sidebar filter form submission and writes matched students
  * to a new sheet based on day, time, and interests.
+ * Students match if their contiguous availability covers the whole requested time range,
+ * so a 2-hour query ("10am-12pm") matches students available 10am-11am and 11am-12pm.
+ * Interests are compared by canonical taxonomy term (see taxonomy.js), the same way
+ * `preprocessStudentData()` stores them.
  *
- * @param {Object} data - Object with keys: day, time, and interests.
+ * @param {Object} data - Object with keys: day, time, and interests, plus an optional duration
+ *   (in minutes) that extends the time range from its start time.
  */ 
 function processFilters(data) {
   const jsonData = PropertiesService.getScriptProperties().getProperty("studentData");
@@ -149,21 +140,27 @@ function processFilters(data) {
   }
   
   const studentData = JSON.parse(jsonData);
-  const { day, time, interests } = data;
+  const { day, interests } = data;
+  let time = data.time;
+
+  const range = parseTimeRange(time);
+  if (range && data.duration) {
+    time = formatTimeRange(range.start, range.start + Number(data.duration));
+  }
 
   let matchingStudents = {};
 
   if (!data.interests || data.interests.length === 0) { 
     matchingStudents = Object.values(studentData).filter(student => {
       return (
-        student.availability[day] && student.availability[day].includes(time)
+        isAvailableForRange(student.availability[day], time)
       );
     });
   } else {
     matchingStudents = Object.values(studentData).filter(student => {
       return (
-        student.availability[day] && student.availability[day].includes(time) &&
-        interests.some(interest => student.interests.includes(interest.toLowerCase()))
+        isAvailableForRange(student.availability[day], time) &&
+        interests.some(interest => student.interests.map(normalizeTerm).includes(canonicalizeTerm(interest).key))
       );
     });
   }
@@ -175,7 +172,7 @@ function processFilters(data) {
   }
 
   // Generate a sheet name using the query log
-  const sheetName = logQuery(data.day, data.time, data.interests);
+  const sheetName = logQuery(day, time, interests);
 
   let sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
   if (!sheet) {
@@ -0,0 +1,231 @@
+/**
+ * Joint Multi-Track Scheduling
+ *
+ * This file schedules several tracks at once (e.g., SEARCH, TEST, BUILD-regular, BUILD-discover) so that
+ * no student is placed in two overlapping sessions, no facilitator is double-booked and no room is used
+ * by two sessions at the same time.
+ *
+ * ✅ Usage:
+ *   - Fill in the staff and room availability sheets (names set in the "Config" sheet, "Staff Availability"
+ *     and "Room Availability" by default). Both use one column per day ("Monday", "Tuesday", ...) holding
+ *     comma-separated slots like the availability form; staff rows have an "Email" column, room rows have
+ *     "Room" and "Capacity" columns.
+ *   - Call `runJointScheduling([{ name: "SEARCH", facilitators: ["a@usc.edu"] }, ...])`.
+ *   - Sessions are written to "Joint Schedule" and every student who could not be placed is listed in
+ *     "Schedule Conflicts" with the reason.
+ *
+ * ⚠️ Notes:
+ *   - Tracks are scheduled most-constrained first, and within a track the session that seats the most
+ *     students is opened first, so the result is a good schedule rather than a proven optimum.
+ *   - If a track lists no facilitators, or the room sheet does not exist, that constraint is skipped.
+ *   - Students and staff share one calendar, so a facilitator who is also a student is never double-booked.
+ */
+
+/**
+ * Reads a staff or room availability sheet into a map of row keys to available slot keys.
+ *
+ * @param {string} sheetName - The name of the sheet to read.
+ * @param {string} keyHeader - Header of the column identifying each row (e.g., "Email" or "Room").
+ * @returns {Object|null} - Row keys mapped to `{ slots: Array<string>, capacity: number }`, or null if the sheet does not exist.
+ */
+function readResourceAvailability(sheetName, keyHeader) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet) return null;
+
+  const data = sheet.getDataRange().getValues();
+  const schema = getAvailabilitySchema({ email: [`^${keyHeader}$`], dayTemplate: "^{day}$" });
+  const columns = resolveAvailabilityColumns(data[0], ["email"], schema, sheetName);
+  const capacityIndex = data[0].indexOf("Capacity");
+
+  const resources = {};
+  data.slice(1).forEach(row => {
+    const key = String(row[columns.email]).trim();
+    if (!key) return;
+    resources[key] = {
+      slots: getRowSlotKeys(row, columns),
+      capacity: capacityIndex === -1 || row[capacityIndex] === "" ? Infinity : Number(row[capacityIndex])
+    };
+  });
+  return resources;
+}
+
+/**
+ * Schedules all tracks together without student, facilitator or room conflicts.
+ *
+ * @param {Array<Object>} tracks - Tracks of the form `{ name, emails, facilitators = [], minGroupSize = 1, maxCapacity = Infinity }`.
+ * @param {Object} studentSlots - Student emails mapped to their available slot keys.
+ * @param {Object} [staff={}] - Facilitator emails mapped to `{ slots }` (from `readResourceAvailability()`).
+ * @param {Object|null} [rooms=null] - Room names mapped to `{ slots, capacity }`, or null for no room constraint.
+ * @returns {{sessions: Array<Object>, conflicts: Array<Object>}} - Sessions of the form
+ *   `{ track, slot, facilitator, room, students }`, and conflicts of the form `{ track, email, reason }`.
+ */
+function scheduleTracksJointly(tracks, studentSlots, staff = {}, rooms = null) {
+  const busy = {}; // email or room -> [{ slot, track }]
+  const sessions = [];
+  const conflicts = [];
+
+  const isFree = (id, slot) => !(busy[id] || []).some(booking => slotsOverlap(booking.slot, slot));
+  const book = (id, slot, track) => (busy[id] = busy[id] || []).push({ slot, track });
+
+  const findFacilitator = (track, slot) => {
+    const facilitators = track.facilitators || [];
+    if (facilitators.length === 0) return "";
+    const free = facilitators.filter(email => staff[email] && staff[email].slots.includes(slot) && isFree(email, slot));
+    // Prefer the facilitator with the fewest other options
+    free.sort((a, b) => staff[a].slots.length - staff[b].slots.length);
+    return free.length > 0 ? free[0] : null;
+  };
+
+  const findRoom = (slot, groupSize) => {
+    if (!rooms) return { name: "", capacity: Infinity };
+    const free = Object.entries(rooms)
+      .filter(([name, room]) => room.slots.includes(slot) && isFree(`room:${name}`, slot))
+      .sort((a, b) => a[1].capacity - b[1].capacity);
+    // Smallest room that fits the group, otherwise the largest free room
+    const fitting = free.find(([_, room]) => room.capacity >= groupSize) || free[free.length - 1];
+    return fitting ? { name: fitting[0], capacity: fitting[1].capacity } : null;
+  };
+
+  // Most constrained tracks first: fewest available slots per student
+  const averageOptions = track => {
+    const counts = track.emails.map(email => (studentSlots[email] || []).length);
+    return counts.length ? counts.reduce((sum, count) => sum + count, 0) / counts.length : 0;
+  };
+  const orderedTracks = tracks.slice().sort((a, b) => averageOptions(a) - averageOptions(b));
+
+  orderedTracks.forEach(track => {
+    const minGroupSize = track.minGroupSize || 1;
+    const maxCapacity = track.maxCapacity || Infinity;
+    const unassigned = new Set(track.emails.filter(email => (studentSlots[email] || []).length > 0));
+
+    while (unassigned.size > 0) {
+      let best = null;
+      const candidateSlots = new Set([...unassigned].flatMap(email => studentSlots[email]));
+
+      candidateSlots.forEach(slot => {
+        const eligible = [...unassigned].filter(email => studentSlots[email].includes(slot) && isFree(email, slot));
+        if (eligible.length < minGroupSize) return;
+
+        const facilitator = findFacilitator(track, slot);
+        if (facilitator === null) return;
+        const room = findRoom(slot, Math.min(eligible.length, maxCapacity));
+        if (room === null) return;
+
+        const seats = Math.min(eligible.length, maxCapacity, room.capacity);
+        if (seats < minGroupSize) return;
+        if (!best || seats > best.seats) best = { slot, eligible, facilitator, room, seats };
+      });
+
+      if (!best) break;
+
+      // Seat the students with the fewest free alternatives first
+      const freeOptions = email => studentSlots[email].filter(slot => isFree(email, slot)).length;
+      const students = best.eligible.sort((a, b) => freeOptions(a) - freeOptions(b)).slice(0, best.seats);
+
+      students.forEach(email => {
+        book(email, best.slot, track.name);
+        unassigned.delete(email);
+      });
+      if (best.facilitator) book(best.facilitator, best.slot, track.name);
+      if (best.room.name) book(`room:${best.room.name}`, best.slot, track.name);
+
+      sessions.push({ track: track.name, slot: best.slot, facilitator: best.facilitator, room: best.room.name, students });
+    }
+
+    track.emails.filter(email => !sessions.some(s => s.track === track.name && s.students.includes(email)))
+      .forEach(email => conflicts.push({
+        track: track.name, email,
+        reason: explainJointConflict(email, track, studentSlots, busy, { isFree, findFacilitator, findRoom })
+      }));
+  });
+
+  return { sessions, conflicts };
+}
+
+/**
+ * Explains why a student could not be placed in any session of a track.
+ *
+ * @param {string} email - The student's email.
+ * @param {Object} track - The track definition.
+ * @param {Object} studentSlots - Student emails mapped to their available slot keys.
+ * @param {Object} busy - Emails and rooms mapped to their bookings.
+ * @param {Object} helpers - The scheduler's `isFree(id, slot)`, `findFacilitator(track, slot)` and `findRoom(slot, size)`.
+ * @returns {string} - A human-readable reason.
+ */
+function explainJointConflict(email, track, studentSlots, busy, { isFree, findFacilitator, findRoom }) {
+  const slots = studentSlots[email] || [];
+  if (slots.length === 0) return "No availability found";
+
+  const freeSlots = slots.filter(slot => isFree(email, slot));
+  if (freeSlots.length === 0) {
+    const otherTracks = [...new Set((busy[email] || []).map(booking => booking.track))].join(", ");
+    return `Every available slot overlaps a session of another track (${otherTracks})`;
+  }
+  if (freeSlots.every(slot => findFacilitator(track, slot) === null)) {
+    return `No facilitator is free at any of their free slots (${freeSlots.join(", ")})`;
+  }
+  if (freeSlots.every(slot => findRoom(slot, 1) === null)) {
+    return `No room is free at any of their free slots (${freeSlots.join(", ")})`;
+  }
+  return `Too few students share their free slots to reach the minimum group size of ${track.minGroupSize || 1}`;
+}
+
+/**
+ * Writes a joint schedule to one sheet and its conflicts to "Schedule Conflicts".
+ *
+ * @param {Object} params - Object of named parameters.
+ * @param {Array<Object>} params.sessions - Sessions from `scheduleTracksJointly()`.
+ * @param {Array<Object>} params.conflicts - Conflicts from `scheduleTracksJointly()`.
+ * @param {string} params.sheetName - Name of the schedule sheet (created or cleared if exists).
+ */
+function writeJointScheduleToSheet({ sessions, conflicts, sheetName }) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  const sheet = ss.getSheetByName(sheetName) || ss.insertSheet(sheetName);
+  sheet.clear();
+  const rows = [['Track', 'Time Slot', 'Facilitator', 'Room', 'Students', 'Num Students']];
+  sessions.forEach(({ track, slot, facilitator, room, students }) => {
+    rows.push([track, slot, facilitator, room, students.join(', '), students.length]);
+  });
+  sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+
+  const conflictSheet = ss.getSheetByName("Schedule Conflicts") || ss.insertSheet("Schedule Conflicts");
+  conflictSheet.clear();
+  const conflictRows = [['Track', 'Student Email', 'Reason']];
+  conflicts.forEach(({ track, email, reason }) => conflictRows.push([track, email, reason]));
+  conflictSheet.getRange(1, 1, conflictRows.length, 3).setValues(conflictRows);
+
+  Logger.log(`Joint schedule written to sheet ${sheetName} (${sessions.length} sessions, ${conflicts.length} conflicts)`);
+}
+
+/**
+ * Schedules several tracks together and writes the schedule and any unavoidable conflicts.
+ *
+ * @param {Array<Object>} trackDefinitions - Tracks of the form `{ name, facilitators, minGroupSize, maxCapacity }`.
+ *   Students are taken from the availability sheet by track name, or from `sheetName`/`columnIndex` if given.
+ * @param {string} [outputSheetName="Joint Schedule"] - Name of the sheet to write the schedule to.
+ */
+function runJointScheduling(trackDefinitions, outputSheetName = "Joint Schedule") {
+  const config = getConfig();
+  const { data, columns } = readAvailabilitySheet(["email", "days"]);
+
+  const studentSlots = {};
+  data.slice(1).forEach(row => {
+    const email = row[columns.email];
+    if (email) studentSlots[email] = getRowSlotKeys(row, columns);
+  });
+
+  const staff = readResourceAvailability(config.staffAvailabilitySheet, "Email") || {};
+  const rooms = readResourceAvailability(config.roomAvailabilitySheet, "Room");
+  if (!rooms) Logger.log(`Sheet '${config.roomAvailabilitySheet}' not found. Scheduling without room limits.`);
+
+  const tracks = trackDefinitions.map(definition => ({
+    ...definition,
+    emails: definition.sheetName
+      ? getEmailsFromSheet(definition.sheetName, definition.columnIndex || 0)
+      : getEmailsByTrack(definition.name)
+  }));
+
+  const { sessions, conflicts } = scheduleTracksJointly(tracks, studentSlots, staff, rooms);
+  writeJointScheduleToSheet({ sessions, conflicts, sheetName: outputSheetName });
+}
@@ -0,0 +1,211 @@
+/**
+ * Match Doc Delivery
+ *
+ * This file sends every student their match doc: it shares the doc with them (view-only) and emails them
+ * a personalized message with the link, replacing the manual share-and-email step after `docsMain()`.
+ *
+ * ✅ Usage:
+ *   - Set `deliveryEmailSubject` and `deliveryEmailBody` in the "Config" sheet. Both are templates
+ *     (see doc-templates.js) with `{{firstName}}`, `{{email}}`, `{{docUrl}}` and `{{#isLeader}} … {{/isLeader}}`.
+ *   - Run `previewMatchEmails()` (Activities > Preview Match Emails) to write the rendered emails to the
+ *     "Email Preview" sheet without sharing or sending anything.
+ *   - Run `sendMatchEmails()` (Activities > Send Match Emails) to share and send. Every attempt is recorded
+ *     in the "Match Delivery Log" sheet; running it again only targets students not yet sent their current doc.
+ *
+ * ⚠️ Notes:
+ *   - Students are read from the leader and member links sheets written by `createMatchDocs()` and
+ *     `createMemberMatchDocs()`. A student whose doc link changed since they were emailed is sent the new one.
+ *   - `deliverMatchDocs({ mailService: GmailApp })` sends through Gmail instead of MailApp; any object with
+ *     `sendEmail(to, subject, body)` works, which also allows a fake service when checking the wording
+ *     (`driveService` likewise takes any object with `addViewer(fileId, email)`).
+ *   - Docs are shared through the Drive advanced service (enabled in appsscript.json) with
+ *     `sendNotificationEmail: false`, so students get only the delivery email, not a Drive share notification too.
+ *   - Sending stops when the daily MailApp quota runs out; the remaining students stay unsent for the next run.
+ */
+
+/**
+ * Writes the rendered match emails to the "Email Preview" sheet without sharing or sending anything.
+ */
+function previewMatchEmails() {
+  deliverMatchDocs({ dryRun: true });
+}
+
+/**
+ * Shares and emails every match doc that has not been delivered yet.
+ */
+function sendMatchEmails() {
+  deliverMatchDocs();
+}
+
+/**
+ * Shares each student's match doc with them (view-only) and emails them the link.
+ *
+ * @param {Object} [options={}] - Delivery settings.
+ * @param {boolean} [options.dryRun=false] - Write the emails to the "Email Preview" sheet instead of sending.
+ * @param {Object} [options.mailService=MailApp] - Sends the emails with `sendEmail(to, subject, body)`.
+ * @param {Object} [options.driveService=getSilentDriveSharing()] - Shares the docs with `addViewer(fileId, email)`.
+ * @returns {{sent: number, failed: number, skipped: number, previewed: number}} - What happened to the students.
+ */
+function deliverMatchDocs({ dryRun = false, mailService = MailApp, driveService = getSilentDriveSharing() } = {}) {
+  const config = getConfig();
+  const recipients = readDeliveryRecipients(config);
+  const log = readDeliveryLog();
+  const summary = { sent: 0, failed: 0, skipped: 0, previewed: 0 };
+  const previewRows = [['To', 'Role', 'Subject', 'Body', 'Document Link']];
+
+  for (const recipient of recipients) {
+    const entry = log.entries[getDeliveryKey(recipient.role, recipient.email)];
+    if (entry && entry.status === 'sent' && entry.docUrl === recipient.docUrl) {
+      summary.skipped++;
+      continue;
+    }
+
+    const subject = renderTemplate(config.deliveryEmailSubject, recipient);
+    const body = renderTemplate(config.deliveryEmailBody, recipient);
+    if (dryRun) {
+      previewRows.push([recipient.email, recipient.role, subject, body, recipient.docUrl]);
+      summary.previewed++;
+      continue;
+    }
+
+    if (mailService.getRemainingDailyQuota && mailService.getRemainingDailyQuota() < 1) {
+      Logger.log('Daily email quota reached; run sendMatchEmails() again tomorrow for the remaining students.');
+      break;
+    }
+
+    let error = '';
+    try {
+      driveService.addViewer(getDocIdFromUrl(recipient.docUrl), recipient.email);
+      mailService.sendEmail(recipient.email, subject, body);
+      summary.sent++;
+    } catch (e) {
+      error = e.message;
+      summary.failed++;
+      Logger.log(`Could not deliver to ${recipient.email}: ${error}`);
+    }
+    // Record each attempt right away so an interrupted run never sends the same email twice
+    writeDeliveryLogRow(log, recipient, error ? 'failed' : 'sent', error);
+  }
+
+  if (dryRun) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName('Email Preview') || ss.insertSheet('Email Preview');
+    sheet.clear();
+    sheet.getRange(1, 1, previewRows.length, previewRows[0].length).setValues(previewRows);
+  }
+  Logger.log(`Match delivery${dryRun ? ' (dry run)' : ''}: ${summary.sent} sent, ${summary.failed} failed, ` +
+             `${summary.skipped} already sent, ${summary.previewed} previewed.`);
+  return summary;
+}
+
+/**
+ * Returns the default sharing service of `deliverMatchDocs()`. Unlike `DriveApp`'s `addViewer()`, it adds the
+ * viewer without Drive's own notification email.
+ *
+ * @returns {{addViewer: Function}} - `addViewer(fileId, email)` grants the email view access to the file.
+ */
+function getSilentDriveSharing() {
+  return {
+    addViewer: (fileId, email) => Drive.Permissions.create({ role: 'reader', type: 'user', emailAddress: email }, fileId,
+      { sendNotificationEmail: false, supportsAllDrives: true })
+  };
+}
+
+/**
+ * Reads the students to deliver to from the leader and member links sheets, skipping rows marked "Withdrawn".
+ *
+ * @param {Object} config - The config from `getConfig()`.
+ * @returns {Array<Object>} - Recipients of the form `{ email, firstName, role, isLeader, docUrl }`.
+ */
+function readDeliveryRecipients(config) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const recipients = [];
+  [['leader', config.leaderLinksSheet], ['member', config.memberLinksSheet]].forEach(([role, sheetName]) => {
+    const sheet = ss.getSheetByName(sheetName);
+    if (!sheet) {
+      Logger.log(`Sheet '${sheetName}' not found; no ${role} docs to deliver.`);
+      return;
+    }
+    sheet.getDataRange().getValues().slice(1).forEach(([email, firstName, docUrl, , , status]) => {
+      if (email && docUrl && status !== 'Withdrawn') recipients.push({ email: String(email).trim(), firstName, role, isLeader: role === 'leader', docUrl });
+    });
+  });
+  return recipients;
+}
+
+/**
+ * Returns the "Match Delivery Log" sheet, creating it with headers if needed.
+ *
+ * @returns {Sheet} - The delivery log sheet.
+ */
+function getDeliveryLogSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Match Delivery Log');
+  if (!sheet) {
+    sheet = ss.insertSheet('Match Delivery Log');
+    sheet.appendRow(['Email', 'Role', 'Document Link', 'Status', 'Sent At', 'Last Attempt', 'Attempts', 'Error']);
+  }
+  return sheet;
+}
+
+/**
+ * Reads the delivery log into a lookup by role and email.
+ *
+ * @returns {{sheet: Sheet, entries: Object}} - The log sheet, and "role|email" keys mapped to
+ *   `{ rowNumber, docUrl, status, sentAt, attempts }`.
+ */
+function readDeliveryLog() {
+  const sheet = getDeliveryLogSheet();
+  const entries = {};
+  sheet.getDataRange().getValues().slice(1).forEach(([email, role, docUrl, status, sentAt, lastAttempt, attempts], i) => {
+    entries[getDeliveryKey(role, email)] = { rowNumber: i + 2, docUrl, status, sentAt, attempts: Number(attempts) || 0 };
+  });
+  return { sheet, entries };
+}
+
+/**
+ * Records a delivery attempt, updating the student's existing log row or appending one.
+ *
+ * @param {Object} log - The log from `readDeliveryLog()` (updated in place).
+ * @param {Object} recipient - The recipient from `readDeliveryRecipients()`.
+ * @param {string} status - "sent" or "failed".
+ * @param {string} error - The error message for failures.
+ */
+function writeDeliveryLogRow(log, recipient, status, error) {
+  const key = getDeliveryKey(recipient.role, recipient.email);
+  const entry = log.entries[key] || { rowNumber: log.sheet.getLastRow() + 1, attempts: 0, sentAt: '' };
+  const now = new Date();
+  entry.docUrl = recipient.docUrl;
+  entry.status = status;
+  entry.attempts++;
+  if (status === 'sent') entry.sentAt = now;
+  log.entries[key] = entry;
+
+  log.sheet.getRange(entry.rowNumber, 1, 1, 8).setValues([[
+    recipient.email, recipient.role, recipient.docUrl, status, entry.sentAt, now, entry.attempts, error
+  ]]);
+}
+
+/**
+ * Builds the delivery log key for a student.
+ *
+ * @param {string} role - "leader" or "member".
+ * @param {string} email - The student's email.
+ * @returns {string} - The normalized "role|email" key.
+ */
+function getDeliveryKey(role, email) {
+  return `${role}|${normalizeEmail(email)}`;
+}
+
+/**
+ * Extracts the file ID from a Google Docs link.
+ *
+ * @param {string} url - The doc link.
+ * @returns {string} - The file ID.
+ * @throws {Error} - If the link has no file ID.
+ */
+function getDocIdFromUrl(url) {
+  const match = String(url).match(/\/d\/([\w-]+)/);
+  if (!match) throw new Error(`'${url}' is not a Google Docs link.`);
+  return match[1];
+}
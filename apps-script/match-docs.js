@@ -1,282 +1,294 @@
 /**
  * Generates individual Google Docs for each team leader summarizing their top matches.
- * Each document includes details about matched team members, including interests and skills.
- * Document links are recorded in a sheet titled "Match Docs Links".
+ * Each document includes details about matched team members, including interests and skills,
+ * rendered from the leader doc template (see doc-templates.js). Matches are grouped by leader email and
+ * each doc shows the leader's `matchesPerDoc` highest-scoring matches; problems with the Matches rows are
+ * reported in the "Match Docs Validation" sheet first.
+ * Document links are recorded in the leader links sheet ("Match Docs Links" by default). Re-running is safe:
+ * leaders whose doc content is unchanged are skipped and changed docs are updated in place.
  *
  * @param {string} infoSheet - The name of the sheet containing full student info (e.g., names, majors, etc.).
  * @param {string} matchSheet - The name of the sheet containing match results (leader-member pairs).
+ * @param {Object} [options={}] - `startIndex` (first leader to process) and `deadline` (time in ms to stop at).
+ * @returns {{next: number, total: number}} - The index of the next leader to process, and the number of leaders.
  */
-function createMatchDocs(infoSheet, matchSheet) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet()
-  const sheet = ss.getSheetByName(matchSheet);
-  const infosheet = ss.getSheetByName(infoSheet);
-  const data = sheet.getDataRange().getValues();
-  const studentData = infosheet.getDataRange().getValues();
-  const batchSize = 5; //number of matches
-  
-  const folder = createFolderIfNotExists('Matches Folder Sp25');  // Folder path
-
-  // Create or get the "Match Docs Links" sheet
-  let linksSheet = ss.getSheetByName("Match Docs Links");
-  if (!linksSheet) {
-    linksSheet = ss.insertSheet("Match Docs Links");
-  } else {
-    linksSheet.clear(); // Clears all data from the sheet
-  }
-
-  linksSheet.appendRow(["Leader Email", "First Name", "Document Link"]);
-
-
-  let linkEntries = [];
-
-  
-  for (let i = 1; i < data.length; i += batchSize) {
-    let batch = data.slice(i, i + batchSize);
-    
-    let leaderEmail = batch[0][0]; // Leader email is the same for all 5 rows
-    let matchInfo = {
-      leaderEmail: leaderEmail,
-      matches: []
-    };
-    
-    batch.forEach(row => {
-      matchInfo.matches.push({
-        matchEmail: row[1],
-        score: row[2],
-        commonInterests: row[3],
-        skillsLeaderNeeds: row[4],
-        skillsMemberNeeds: row[5],
-        matchDescription: row[6],
-        matchLookingFor: row[8]
-      });
-    });
-      
-    const leaderName = getNameByEmail(leaderEmail, studentData);
-    
-    // Create a Google Doc for each team leader
-    const doc = DocumentApp.create(`${leaderName[0]} ${leaderName[1]} Match Info`);
-    const docBody = doc.getBody();
-    const docId = doc.getId(); 
-    const docUrl = `https://docs.google.com/document/d/${docId}`;
-
-
-    // Add header for the team leader
-    docBody.appendParagraph(`Match Information for Team Leader: ${leaderName[0]} ${leaderName[1]}`)
-          .setHeading(DocumentApp.ParagraphHeading.HEADING1);
-
-    // Add each match's information to the document
-    matchInfo.matches.forEach(match => {
-      const matchRow = getRowByEmail(match.matchEmail, studentData);  // Retrieve match details by email
-      if (matchRow) {
-        const firstName = matchRow[1];  
-        const lastName = matchRow[2];  
-        const gradYear = matchRow[7];  
-        const major = matchRow[8];  
-        const minor = matchRow[9];
-        const studentClass = matchRow[15];
-
-        // Add match details
-        const bold = docBody.appendParagraph(`Match: ${firstName} ${lastName} (${match.matchEmail})`);
-        bold.editAsText().setBold(true);
-        const normal = docBody.appendParagraph(`Match Score: ${match.score}`);
-        normal.editAsText().setBold(false);
-
-        docBody.appendParagraph(`Graduation Year: ${gradYear}`);
-        docBody.appendParagraph(`Student Classification: ${studentClass}`);
-        docBody.appendParagraph(`Major: ${major}`);
-        if (minor != '') {
-          docBody.appendParagraph(`Minor: ${minor}`);
-        }
-        
-
-        let paragraph = docBody.appendParagraph('');
-        paragraph.appendText('Common interests: ').setBold(true);  
-        match.commonInterests.split(';').map(word => word.trim()).forEach(interest => {
-          docBody.appendListItem(interest).setGlyphType(DocumentApp.GlyphType.BULLET);
-        });
-        
-        paragraph = docBody.appendParagraph('');
-        paragraph.appendText(`Skills ${firstName} has that you need: `).setBold(true);
-        match.skillsLeaderNeeds.split(';').map(word => word.trim()).forEach(skillNeed => {
-          docBody.appendListItem(skillNeed).setGlyphType(DocumentApp.GlyphType.BULLET);
-        });
-        
-        paragraph = docBody.appendParagraph('');
-        paragraph.appendText(`Skills you have that ${firstName} wants: `).setBold(true);
-        match.skillsMemberNeeds.split(';').map(word => word.trim()).forEach(skillWant => {
-          docBody.appendListItem(skillWant).setGlyphType(DocumentApp.GlyphType.BULLET);
-        });
-
-        docBody.appendParagraph(`Who ${firstName} is:`).setBold(true);  
-        docBody.appendListItem(match.matchDescription.replace(/^"(.*)"$/, '$1')).setGlyphType(DocumentApp.GlyphType.BULLET).setBold(false);
-
-        docBody.appendParagraph(`What ${firstName} is looking for:`).setBold(true);  
-        docBody.appendListItem(match.matchLookingFor.replace(/^"(.*)"$/, '$1')).setGlyphType(DocumentApp.GlyphType.BULLET).setBold(false);
-        
-        docBody.appendParagraph('\n-----------------\n');
-      }
-    });
-    
-    doc.saveAndClose();  
-    
-    // Move the document to the specified folder
-    const docFile = DriveApp.getFileById(docId);  
-    docFile.moveTo(folder); 
-
-    // Store leader email, name, and doc link in an array for batch writing
-    linkEntries.push([leaderEmail, leaderName[0], docUrl]); 
-
-    Logger.log(`Created doc for Team Leader: ${leaderName[0]} ${leaderName[1]}`)
-  }
+function createMatchDocs(infoSheet, matchSheet, options = {}) {
+  const config = getConfig();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const data = ss.getSheetByName(matchSheet).getDataRange().getValues();
+  const studentData = ss.getSheetByName(infoSheet).getDataRange().getValues();
 
-  // Append all collected rows to the "Match Docs Links" sheet at once
-  if (linkEntries.length > 0) {
-    linksSheet.getRange(linksSheet.getLastRow() + 1, 1, linkEntries.length, 3).setValues(linkEntries);
+  // Report grouping problems once per generation, not once per batch
+  if (!options.startIndex) {
+    writeMatchDocsValidationReport(validateLeaderMatchRows(data, config.matchesPerDoc, getLeaderEmails(ss.getSheetByName(infoSheet))));
   }
 
+  return createDocsForGroups({
+    ...options,
+    groups: getLeaderMatchGroups(data, config.matchesPerDoc),
+    role: 'leader',
+    studentData,
+    folderName: config.leaderDocsFolder,
+    linksSheetName: config.leaderLinksSheet,
+    linksHeader: ["Leader Email", "First Name", "Document Link", "Content Fingerprint", "Updated At", "Status"],
+    docTitle: name => `${name[0]} ${name[1]} Match Info`
+  });
 }
 
 /**
  * Generates Google Docs for each team member listing their top-ranked team leader matches.
- * Each document includes detailed information about the leaders and compatibility insights.
- * Document links are recorded in a sheet titled "Member Match Docs Links".
+ * Each document includes detailed information about the leaders and compatibility insights,
+ * rendered from the member doc template (see doc-templates.js).
+ * Document links are recorded in the member links sheet ("Member Match Docs Links" by default). Re-running is
+ * safe: members whose doc content is unchanged are skipped and changed docs are updated in place.
  *
  * @param {string} infoSheet - The name of the sheet containing student profile data.
  * @param {string} matchSheet - The name of the sheet containing match results.
+ * @param {Object} [options={}] - `startIndex` (first member to process) and `deadline` (time in ms to stop at).
+ * @returns {{next: number, total: number}} - The index of the next member to process, and the number of members.
  */
-function createMemberMatchDocs(infoSheet, matchSheet) {
+function createMemberMatchDocs(infoSheet, matchSheet, options = {}) {
+  const config = getConfig();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = ss.getSheetByName(matchSheet);
-  const infosheet = ss.getSheetByName(infoSheet);
-  const data = sheet.getDataRange().getValues();
-  const studentData = infosheet.getDataRange().getValues();
-  
-  const folder = createFolderIfNotExists('Member Matches Folder Sp25');  // Folder path
-
-  // Create or get the "Member Match Docs Links" sheet
-  let linksSheet = ss.getSheetByName("Member Match Docs Links");
-  if (!linksSheet) {
-    linksSheet = ss.insertSheet("Match Docs Links");
-  } else {
-    linksSheet.clear(); // Clears all data from the sheet
-  }
-
-  linksSheet.appendRow(["Leader Email", "First Name", "Document Link"]);
-
-  let linkEntries = [];
-
-  let memberMatches = {};
+  const data = ss.getSheetByName(matchSheet).getDataRange().getValues();
+  const studentData = ss.getSheetByName(infoSheet).getDataRange().getValues();
+
+  return createDocsForGroups({
+    ...options,
+    groups: getMemberMatchGroups(data),
+    role: 'member',
+    studentData,
+    folderName: config.memberDocsFolder,
+    linksSheetName: config.memberLinksSheet,
+    linksHeader: ["Leader Email", "First Name", "Document Link", "Content Fingerprint", "Updated At", "Status"],
+    docTitle: name => `${name[0]} ${name[1]} Team Matches`
+  });
+}
 
-  // Group matches by team member email
-  for (let i = 1; i < data.length; i++) {
-    let row = data[i];
-    let memberEmail = row[1]; // Team member email
-    let matchDetails = {
-      leaderEmail: row[0],
-      score: row[2],
-      commonInterests: row[3],
-      skillsLeaderNeeds: row[4],
-      skillsMemberNeeds: row[5],
-      leaderDescription: row[7],
-      leaderLookingFor: row[9]
-    };
+/**
+ * Groups the Matches rows by team leader, in order of each leader's first row, with each leader's
+ * matches sorted by score in descending order.
+ *
+ * @param {Array<Array>} data - All rows of the Matches sheet, including headers.
+ * @param {number} [matchesPerDoc=Infinity] - Maximum number of matches kept per leader.
+ * @returns {Array<{email: string, rows: Array<Array>}>} - The leader's email and their match rows.
+ */
+function getLeaderMatchGroups(data, matchesPerDoc = Infinity) {
+  const leaderMatches = {};
+  data.slice(1).forEach(row => {
+    if (!row[0] || !row[1]) return;
+    const key = normalizeEmail(row[0]); // Team leader email
+    (leaderMatches[key] = leaderMatches[key] || { email: String(row[0]).trim(), rows: [] }).rows.push(row);
+  });
+  return Object.values(leaderMatches).map(({ email, rows }) => ({
+    email,
+    rows: rows.sort((a, b) => b[2] - a[2]).slice(0, matchesPerDoc)
+  }));
+}
 
-    if (!memberMatches[memberEmail]) {
-      memberMatches[memberEmail] = [];
+/**
+ * Checks the Matches rows before leader docs are generated. Reports leaders whose rows are not next to each
+ * other, leaders with fewer matches than a doc shows, leaders with no matches at all, repeated pairs, and
+ * rows missing an email.
+ *
+ * @param {Array<Array>} data - All rows of the Matches sheet, including headers.
+ * @param {number} matchesPerDoc - Number of matches each leader doc should show.
+ * @param {Array<string>|null} leaderEmails - Emails of every team leader, or null to skip the "no matches" check.
+ * @returns {Array<Array>} - Issues as `[leaderEmail, issue, sheet rows]`.
+ */
+function validateLeaderMatchRows(data, matchesPerDoc, leaderEmails) {
+  const issues = [];
+  const rowNumbers = {}; // leader email -> sheet row numbers
+  const seenPairs = {};
+  data.slice(1).forEach((row, i) => {
+    const rowNumber = i + 2;
+    if (!row[0] || !row[1]) {
+      if (row.some(cell => cell !== '')) issues.push([row[0], 'Row is missing the leader or member email', rowNumber]);
+      return;
     }
-    memberMatches[memberEmail].push(matchDetails);
-
-    // Sort matches for this member by score in descending order
-    memberMatches[memberEmail].sort((a, b) => b.score - a.score);
-  }
-
-
-  // Create documents for each team member
-  for (let memberEmail in memberMatches) {
-    const memberName = getNameByEmail(memberEmail, studentData);
-    
-    // Create a Google Doc for each team member
-    const doc = DocumentApp.create(`${memberName[0]} ${memberName[1]} Team Matches`);
-    const docBody = doc.getBody();
-    const docId = doc.getId(); 
-    const docUrl = `https://docs.google.com/document/d/${docId}`;
-
-    // Add header for the team member
-    docBody.appendParagraph(`Match Information for Team Member: ${memberName[0]} ${memberName[1]}`)
-          .setHeading(DocumentApp.ParagraphHeading.HEADING1);
 
-    let matches = memberMatches[memberEmail];
+    const key = normalizeEmail(row[0]);
+    (rowNumbers[key] = rowNumbers[key] || []).push(rowNumber);
+    const pair = getFeedbackKey(row[0], row[1]);
+    if (seenPairs[pair]) issues.push([row[0], `Member ${row[1]} is listed more than once`, `${seenPairs[pair]}, ${rowNumber}`]);
+    seenPairs[pair] = seenPairs[pair] || rowNumber;
+  });
 
-    // Add each team leader's information to the document
-    matches.forEach(match => {
-      const leaderRow = getRowByEmail(match.leaderEmail, studentData);
-      if (leaderRow) {
-        const firstName = leaderRow[1];
-        const lastName = leaderRow[2];
-        const gradYear = leaderRow[7];
-        const major = leaderRow[8];
-        const minor = leaderRow[9];
-        const studentClass = leaderRow[15];
-
-        // Add leader details
-        const bold = docBody.appendParagraph(`Team Leader: ${firstName} ${lastName} (${match.leaderEmail})`);
-        bold.editAsText().setBold(true);
-        const normal = docBody.appendParagraph(`Match Score: ${match.score}`);
-        normal.editAsText().setBold(false);
-
-        docBody.appendParagraph(`Graduation Year: ${gradYear}`);
-        docBody.appendParagraph(`Student Classification: ${studentClass}`);
-        docBody.appendParagraph(`Major: ${major}`);
-        if (minor != '') {
-          docBody.appendParagraph(`Minor: ${minor}`);
-        }
-
-        let paragraph = docBody.appendParagraph('');
-        paragraph.appendText('Common interests: ').setBold(true);
-        match.commonInterests.split(';').map(word => word.trim()).forEach(interest => {
-          docBody.appendListItem(interest).setGlyphType(DocumentApp.GlyphType.BULLET);
-        });
+  Object.entries(rowNumbers).forEach(([leaderEmail, rows]) => {
+    if (rows[rows.length - 1] - rows[0] + 1 !== rows.length) {
+      issues.push([leaderEmail, 'Rows are not contiguous (grouped by email instead)', rows.join(', ')]);
+    }
+    if (rows.length < matchesPerDoc) {
+      issues.push([leaderEmail, `Only ${rows.length} of ${matchesPerDoc} matches`, rows.join(', ')]);
+    }
+  });
 
-        paragraph = docBody.appendParagraph('');
-        paragraph.appendText(`Skills you have that ${firstName} needs: `).setBold(true);
-        match.skillsLeaderNeeds.split(';').map(word => word.trim()).forEach(skillNeed => {
-          docBody.appendListItem(skillNeed).setGlyphType(DocumentApp.GlyphType.BULLET);
-        });
+  (leaderEmails || []).forEach(email => {
+    if (email && !rowNumbers[normalizeEmail(email)]) issues.push([email, 'No matches (no doc will be created)', '']);
+  });
+  return issues;
+}
 
-        paragraph = docBody.appendParagraph('');
-        paragraph.appendText(`Skills ${firstName} has that you want: `).setBold(true);
-        match.skillsMemberNeeds.split(';').map(word => word.trim()).forEach(skillWant => {
-          docBody.appendListItem(skillWant).setGlyphType(DocumentApp.GlyphType.BULLET);
-        });
+/**
+ * Writes the issues from `validateLeaderMatchRows()` to the "Match Docs Validation" sheet (cleared first).
+ *
+ * @param {Array<Array>} issues - Issues as `[leaderEmail, issue, sheet rows]`.
+ */
+function writeMatchDocsValidationReport(issues) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Match Docs Validation') || ss.insertSheet('Match Docs Validation');
+  const rows = [['Leader Email', 'Issue', 'Matches Rows'], ...issues];
+  sheet.clear();
+  sheet.getRange(1, 1, rows.length, 3).setValues(rows);
+  Logger.log(`${issues.length} issues found in the Matches rows (see 'Match Docs Validation').`);
+}
 
-        docBody.appendParagraph(`Who ${firstName} is:`).setBold(true);
-        docBody.appendListItem(match.leaderDescription.replace(/^"(.*)"$/, '$1'))
-               .setGlyphType(DocumentApp.GlyphType.BULLET).setBold(false);
+/**
+ * Returns the emails of the team leaders in the student info sheet.
+ *
+ * @param {Sheet} infoSheet - The student info sheet.
+ * @returns {Array<string>|null} - The leader emails, or null if the sheet lacks the matchmaking columns.
+ */
+function getLeaderEmails(infoSheet) {
+  const columnIndices = validateSheet(infoSheet);
+  if (!columnIndices) return null;
+  const { leaders } = separateLeadersAndMembers(infoSheet.getDataRange().getValues().slice(1), columnIndices);
+  return leaders.map(leader => leader[columnIndices['Email']]);
+}
 
+/**
+ * Groups the Matches rows by team member, in order of each member's first row, with each member's leaders
+ * sorted by score in descending order.
+ *
+ * @param {Array<Array>} data - All rows of the Matches sheet, including headers.
+ * @returns {Array<{email: string, rows: Array<Array>}>} - The member's email and their match rows.
+ */
+function getMemberMatchGroups(data) {
+  const memberMatches = {};
+  data.slice(1).forEach(row => {
+    if (!row[0] || !row[1]) return;
+    const key = normalizeEmail(row[1]); // Team member email
+    (memberMatches[key] = memberMatches[key] || { email: String(row[1]).trim(), rows: [] }).rows.push(row);
+  });
+  return Object.values(memberMatches).map(({ email, rows }) => ({
+    email,
+    rows: rows.sort((a, b) => b[2] - a[2])
+  }));
+}
 
-        docBody.appendParagraph(`What ${firstName} is looking for:`).setBold(true);
-        docBody.appendListItem(match.leaderLookingFor.replace(/^"(.*)"$/, '$1'))
-               .setGlyphType(DocumentApp.GlyphType.BULLET).setBold(false);
+/**
+ * Creates or updates one Google Doc per group from the role's template and records it in the links sheet.
+ * Each link row stores a fingerprint of the doc's content: groups whose fingerprint is unchanged are skipped,
+ * and groups that already have a doc get it rewritten in place, so no duplicates are created. When a pass
+ * reaches the last group, link rows of students no longer in `groups` are marked "Withdrawn" (see
+ * `markWithdrawnLinkRows()`) so their stale docs are neither emailed nor listed in the packet.
+ *
+ * @param {Object} params - Object of named parameters.
+ * @param {Array<Object>} params.groups - Groups from `getLeaderMatchGroups()` or `getMemberMatchGroups()`.
+ * @param {string} params.role - "leader" or "member".
+ * @param {Array<Array>} params.studentData - All rows of the student info sheet.
+ * @param {string} params.folderName - Drive folder for new docs.
+ * @param {string} params.linksSheetName - Sheet for the doc links (rows are updated, never cleared).
+ * @param {Array<string>} params.linksHeader - Header row of the links sheet.
+ * @param {Function} params.docTitle - `([firstName, lastName]) => title`.
+ * @param {number} [params.startIndex=0] - Index of the first group to process.
+ * @param {number} [params.deadline=Infinity] - Time (in ms since the epoch) after which no new group is started
+ *   (the first group is always processed).
+ * @returns {{next: number, total: number}} - The index of the next group to process, and the number of groups.
+ */
+function createDocsForGroups({ groups, role, studentData, folderName, linksSheetName, linksHeader, docTitle, startIndex = 0, deadline = Infinity }) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const folder = createFolderIfNotExists(folderName);  // Folder path
+  const templateLines = getDocTemplateLines(role);
+  const templateText = templateLines.map(line => line.text).join('\n');
+
+  // Create or get the links sheet, and index its rows by email
+  const linksSheet = ss.getSheetByName(linksSheetName) || ss.insertSheet(linksSheetName);
+  linksSheet.getRange(1, 1, 1, linksHeader.length).setValues([linksHeader]);
+  const linkRows = {};
+  linksSheet.getDataRange().getValues().slice(1).forEach((row, i) => {
+    if (row[0]) linkRows[normalizeEmail(row[0])] = { rowNumber: i + 2, url: row[2], fingerprint: row[3], status: row[5] };
+  });
+  let nextRow = linksSheet.getLastRow() + 1;
+
+  const counts = { created: 0, updated: 0, skipped: 0 };
+  let i = startIndex;
+  // Always process at least one group so every batch makes progress
+  for (; i < groups.length && (i === startIndex || Date.now() < deadline); i++) {
+    const { email, rows } = groups[i];
+    const view = buildMatchView(email, role, rows, studentData);
+    const fingerprint = computeFingerprint(JSON.stringify([templateText, view]));
+    const link = linkRows[normalizeEmail(email)];
+    if (link && link.fingerprint === fingerprint) {
+      counts.skipped++;
+      continue;
+    }
 
-        docBody.appendParagraph('\n-----------------\n');
-      }
-    });
+    // Rewrite the existing doc if there is one, otherwise create a new one
+    const title = docTitle([view.firstName, view.lastName]);
+    let doc = link ? openLinkedDoc(link.url) : null;
+    const action = doc ? 'Updated' : 'Created';
+    if (doc) {
+      doc.setName(title);
+      doc.getBody().clear();
+      counts.updated++;
+    } else {
+      doc = DocumentApp.create(title);
+      DriveApp.getFileById(doc.getId()).moveTo(folder);
+      counts.created++;
+    }
+    renderDocTemplate(templateLines, view, doc.getBody());
+    doc.saveAndClose();
 
-    doc.saveAndClose();  
+    // Record the link right away so an interrupted run never loses track of a doc
+    const docUrl = `https://docs.google.com/document/d/${doc.getId()}`;
+    const rowNumber = link ? link.rowNumber : nextRow++;
+    linksSheet.getRange(rowNumber, 1, 1, 6).setValues([[email, view.firstName, docUrl, fingerprint, new Date(), '']]);
+    linkRows[normalizeEmail(email)] = { rowNumber, url: docUrl, fingerprint, status: '' };
 
-    // Move the document to the specified folder
-    const docFile = DriveApp.getFileById(docId);
-    docFile.moveTo(folder);
+    Logger.log(`${action} doc for Team ${role === 'leader' ? 'Leader' : 'Member'}: ${view.firstName} ${view.lastName}`);
+  }
 
-    // Store member email, name, and doc link in an array for batch writing
-    linkEntries.push([memberEmail, memberName[0], docUrl]);
+  Logger.log(`${role} docs ${startIndex + 1}-${i} of ${groups.length}: ${counts.created} created, ` +
+             `${counts.updated} updated, ${counts.skipped} unchanged.`);
+  if (i === groups.length) markWithdrawnLinkRows(linksSheet, linkRows, groups);
+  return { next: i, total: groups.length };
+}
 
-    Logger.log(`Created doc for Team Member: ${memberName[0]} ${memberName[1]}`);
-  }
+/**
+ * Marks the link rows of students who are no longer in any group as "Withdrawn" and clears their fingerprint,
+ * so `sendMatchEmails()` and the packet skip them and their doc is rewritten if they get matches again.
+ * The docs themselves are kept in Drive.
+ *
+ * @param {Sheet} linksSheet - The links sheet.
+ * @param {Object} linkRows - Lowercase emails mapped to `{ rowNumber, url, fingerprint, status }`.
+ * @param {Array<Object>} groups - Every group of the pass.
+ */
+function markWithdrawnLinkRows(linksSheet, linkRows, groups) {
+  const current = new Set(groups.map(({ email }) => normalizeEmail(email)));
+  const withdrawn = Object.keys(linkRows).filter(email => !current.has(email) && linkRows[email].status !== 'Withdrawn');
+  withdrawn.forEach(email => {
+    const link = linkRows[email];
+    linksSheet.getRange(link.rowNumber, 4).setValue('');
+    linksSheet.getRange(link.rowNumber, 6).setValue('Withdrawn');
+    link.fingerprint = '';
+    link.status = 'Withdrawn';
+  });
+  if (withdrawn.length > 0) Logger.log(`${withdrawn.length} link rows in '${linksSheet.getName()}' marked Withdrawn.`);
+}
 
-  // Batch write document links to the sheet
-  if (linkEntries.length > 0) {
-    linksSheet.getRange(linksSheet.getLastRow() + 1, 1, linkEntries.length, 3).setValues(linkEntries);
+/**
+ * Opens the doc behind a link from a links sheet.
+ *
+ * @param {string} url - The doc link.
+ * @returns {Document|null} - The doc, or null if the link is invalid or the doc was deleted.
+ */
+function openLinkedDoc(url) {
+  try {
+    return DocumentApp.openById(getDocIdFromUrl(url));
+  } catch (error) {
+    Logger.log(`Could not open ${url} (${error.message}); creating a new doc.`);
+    return null;
   }
 }
 
@@ -299,11 +311,16 @@ function createFolderIfNotExists(folderName) {
 /**
  * Runs the document generation process for both team leaders and team members.
  * Creates folders, generates Google Docs summarizing matches, and logs the links.
- * Assumes 'Matches' and 'data-driven-matchmaking' sheets exist in the spreadsheet.
+ * Sheet and folder names are read from the "Config" sheet.
+ * With more than about a hundred students use `startDocGenerationJob()` instead, which spreads the work
+ * over several runs to stay within the Apps Script time limit.
  */
 function docsMain() {
-  infoSheet = 'data-driven-matchmaking';
-  matchSheet = 'Matches';
+  const config = getConfig();
+  const sheetKey = getMatchmakingSheetKey(config);
+  assertConfiguredSheetsExist(config, [sheetKey, 'matchesSheet']);
+  const infoSheet = config[sheetKey];
+  const matchSheet = config.matchesSheet;
   createMatchDocs(infoSheet, matchSheet);
   createMemberMatchDocs(infoSheet, matchSheet)
 
@@ -0,0 +1,164 @@
+/**
+ * Match Feedback
+ *
+ * This file records what happened to each leader-member match after the docs went out, so matchmaking
+ * can be re-run every week: declined pairs are never suggested again and members who already joined a
+ * team are left out.
+ *
+ * ✅ Usage:
+ *   - `runMatchmaking()` adds every new pair from the Matches sheet to the "Match Feedback" sheet with an
+ *     empty status. Organizers set the "Status" column to contacted, met, teamed or declined.
+ *   - Responses from a feedback form (columns "Leader Email", "Member Email", "Status") can be merged in
+ *     with `importMatchFeedback("Feedback Form Responses")`.
+ *   - On the next `runMatchmaking()` or `runTeamFormation()`, declined pairs and teamed members are excluded.
+ *
+ * ⚠️ Notes:
+ *   - Emails are compared case-insensitively.
+ *   - Unknown statuses are logged and ignored rather than stopping matchmaking.
+ */
+
+/**
+ * Returns the allowed feedback statuses, in the order a match usually moves through them.
+ *
+ * @returns {Array<string>} - The statuses.
+ */
+function getFeedbackStatuses() {
+  return ['contacted', 'met', 'teamed', 'declined'];
+}
+
+/**
+ * Returns the "Match Feedback" sheet, creating it with headers and a status dropdown if needed.
+ *
+ * @returns {Sheet} - The feedback sheet.
+ */
+function getMatchFeedbackSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Match Feedback');
+  if (!sheet) {
+    sheet = ss.insertSheet('Match Feedback');
+    sheet.appendRow(['Team Leader Email', 'Team Member Email', 'Status', 'Last Updated', 'Notes']);
+    const statusRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList(getFeedbackStatuses(), true)
+      .setAllowInvalid(false)
+      .build();
+    sheet.getRange('C2:C').setDataValidation(statusRule);
+  }
+  return sheet;
+}
+
+/**
+ * Reads the feedback sheet into lookups used by matchmaking.
+ *
+ * @returns {{statuses: Object, declinedPairs: Set<string>, teamedMembers: Set<string>}} - "leader|member"
+ *   keys mapped to their status, the declined pair keys, and the emails of members marked as teamed.
+ */
+function readMatchFeedback() {
+  const feedback = { statuses: {}, declinedPairs: new Set(), teamedMembers: new Set() };
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Match Feedback');
+  if (!sheet) return feedback;
+
+  sheet.getDataRange().getValues().slice(1).forEach(([leaderEmail, memberEmail, status], i) => {
+    status = String(status).trim().toLowerCase();
+    if (!status) return;
+    if (!getFeedbackStatuses().includes(status)) {
+      Logger.log(`Ignoring unknown feedback status "${status}" in row ${i + 2} of 'Match Feedback'.`);
+      return;
+    }
+
+    const key = getFeedbackKey(leaderEmail, memberEmail);
+    feedback.statuses[key] = status;
+    if (status === 'declined') feedback.declinedPairs.add(key);
+    if (status === 'teamed') feedback.teamedMembers.add(String(memberEmail).trim().toLowerCase());
+  });
+  return feedback;
+}
+
+/**
+ * Builds the lookup key for a leader-member pair.
+ *
+ * @param {string} leaderEmail - The team leader's email.
+ * @param {string} memberEmail - The team member's email.
+ * @returns {string} - The normalized "leader|member" key.
+ */
+function getFeedbackKey(leaderEmail, memberEmail) {
+  return `${String(leaderEmail).trim().toLowerCase()}|${String(memberEmail).trim().toLowerCase()}`;
+}
+
+/**
+ * Adds every leader-member pair from the Matches sheet that is not yet in the feedback sheet.
+ *
+ * @returns {number} - The number of pairs added.
+ */
+function syncMatchFeedbackSheet() {
+  const matchSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(getConfig().matchesSheet);
+  if (!matchSheet) return 0;
+
+  const sheet = getMatchFeedbackSheet();
+  const existing = new Set(sheet.getDataRange().getValues().slice(1).map(row => getFeedbackKey(row[0], row[1])));
+  const newRows = [];
+  matchSheet.getDataRange().getValues().slice(1).forEach(([leaderEmail, memberEmail]) => {
+    const key = getFeedbackKey(leaderEmail, memberEmail);
+    if (!leaderEmail || existing.has(key)) return;
+    existing.add(key);
+    newRows.push([leaderEmail, memberEmail, '', '', '']);
+  });
+
+  if (newRows.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, 5).setValues(newRows);
+  }
+  Logger.log(`${newRows.length} new pairs added to 'Match Feedback'.`);
+  return newRows.length;
+}
+
+/**
+ * Merges feedback form responses into the feedback sheet. Later responses for the same pair win.
+ *
+ * @param {string} responsesSheetName - Sheet with "Leader Email", "Member Email" and "Status" columns
+ *   (and optionally "Timestamp" and "Notes").
+ * @throws {Error} - If the responses sheet or its required columns are missing.
+ */
+function importMatchFeedback(responsesSheetName) {
+  const responsesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(responsesSheetName);
+  if (!responsesSheet) throw new Error(`Sheet '${responsesSheetName}' not found!`);
+
+  const responses = responsesSheet.getDataRange().getValues();
+  const headers = responses[0];
+  const [leaderIndex, memberIndex, statusIndex, timestampIndex, notesIndex] =
+    ['Leader Email', 'Member Email', 'Status', 'Timestamp', 'Notes'].map(header => headers.indexOf(header));
+  if ([leaderIndex, memberIndex, statusIndex].includes(-1)) {
+    throw new Error(`Sheet '${responsesSheetName}' needs 'Leader Email', 'Member Email' and 'Status' columns.`);
+  }
+
+  const sheet = getMatchFeedbackSheet();
+  const rows = sheet.getDataRange().getValues();
+  const rowByKey = {};
+  rows.slice(1).forEach((row, i) => rowByKey[getFeedbackKey(row[0], row[1])] = i + 1);
+
+  let imported = 0;
+  responses.slice(1).forEach(response => {
+    const status = String(response[statusIndex]).trim().toLowerCase();
+    if (!getFeedbackStatuses().includes(status)) {
+      Logger.log(`Skipping response with unknown status "${response[statusIndex]}".`);
+      return;
+    }
+
+    const key = getFeedbackKey(response[leaderIndex], response[memberIndex]);
+    const updated = timestampIndex === -1 ? new Date() : response[timestampIndex];
+    const notes = notesIndex === -1 ? '' : response[notesIndex];
+    if (rowByKey[key] === undefined) {
+      rowByKey[key] = rows.length;
+      rows.push([response[leaderIndex], response[memberIndex], status, updated, notes]);
+    } else {
+      const row = rows[rowByKey[key]];
+      row[2] = status;
+      row[3] = updated;
+      if (notes) row[4] = notes;
+    }
+    imported++;
+  });
+
+  if (rows.length > 1) {
+    sheet.getRange(2, 1, rows.length - 1, 5).setValues(rows.slice(1).map(row => row.slice(0, 5)));
+  }
+  Logger.log(`Imported ${imported} feedback responses into 'Match Feedback'.`);
+}
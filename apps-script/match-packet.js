@@ -0,0 +1,209 @@
+/**
+ * Match Packet
+ *
+ * This file combines every leader and member match summary into one file for organizers to review before
+ * the docs are released, instead of opening each doc from "Match Docs Links". The packet has a table of
+ * contents, a summary with aggregate stats and one section per student.
+ *
+ * ✅ Usage:
+ *   - Run `createMatchPacket()` (Activities > Create Match Packet) for a PDF, or
+ *     `createMatchPacket({ format: "html" })` for an HTML file. The file is saved to `packetFolder`.
+ *
+ * ⚠️ Notes:
+ *   - Sections are built from the same match views as the docs (`getLeaderMatchGroups()`,
+ *     `getMemberMatchGroups()` and `buildMatchView()`), so the packet shows exactly what students will see.
+ *   - Students without matches are found by comparing the matchmaking sheet's leaders and members (see
+ *     `separateLeadersAndMembers()`) with the Matches sheet; members marked teamed in "Match Feedback" are
+ *     listed too, since they were left out on purpose.
+ */
+
+/**
+ * Builds the organizer packet and saves it to Drive.
+ *
+ * @param {Object} [options={}] - Packet settings.
+ * @param {string} [options.format="pdf"] - "pdf" or "html".
+ * @returns {string} - The URL of the saved file.
+ * @throws {Error} - If the format is unknown.
+ */
+function createMatchPacket({ format = 'pdf' } = {}) {
+  if (!['pdf', 'html'].includes(format)) {
+    throw new Error(`Unknown packet format '${format}'. Use "pdf" or "html".`);
+  }
+
+  const config = getConfig();
+  assertConfiguredSheetsExist(config, [getMatchmakingSheetKey(config), 'matchesSheet']);
+  const title = `Match Packet ${Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd')}`;
+  const html = renderTemplate(getPacketTemplate(), escapeHtmlValues(buildPacketView(config, title)));
+
+  let blob = Utilities.newBlob(html, 'text/html', `${title}.html`);
+  if (format === 'pdf') blob = blob.getAs('application/pdf').setName(`${title}.pdf`);
+  const file = createFolderIfNotExists(config.packetFolder).createFile(blob);
+  Logger.log(`Match packet saved: ${file.getUrl()}`);
+  return file.getUrl();
+}
+
+/**
+ * Builds the view the packet is rendered from.
+ *
+ * @param {Object} config - The config from `getConfig()`.
+ * @param {string} title - The packet title.
+ * @returns {Object} - `{ title, generatedAt, stats, leaders, members, leadersWithoutMatches,
+ *   membersWithoutMatches, rosterAvailable }`, where leaders and members are match views from
+ *   `buildMatchView()` with an `anchor` and their `docUrl` (if any) added.
+ */
+function buildPacketView(config, title) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const infoSheet = ss.getSheetByName(config[getMatchmakingSheetKey(config)]);
+  const data = ss.getSheetByName(config.matchesSheet).getDataRange().getValues();
+  const studentData = infoSheet.getDataRange().getValues();
+
+  const docUrls = {};
+  [config.leaderLinksSheet, config.memberLinksSheet].forEach(sheetName => {
+    const sheet = ss.getSheetByName(sheetName);
+    if (!sheet) return;
+    sheet.getDataRange().getValues().slice(1).filter(row => row[5] !== 'Withdrawn')
+      .forEach(row => docUrls[`${sheetName}|${normalizeEmail(row[0])}`] = row[2]);
+  });
+  const toSections = (groups, role, linksSheet) => groups.map(({ email, rows }, i) => ({
+    ...buildMatchView(email, role, rows, studentData),
+    anchor: `${role}-${i + 1}`,
+    docUrl: docUrls[`${linksSheet}|${normalizeEmail(email)}`] || ''
+  }));
+  const leaders = toSections(getLeaderMatchGroups(data, config.matchesPerDoc), 'leader', config.leaderLinksSheet);
+  const members = toSections(getMemberMatchGroups(data), 'member', config.memberLinksSheet);
+
+  // Students in the matchmaking sheet who appear in no match
+  const columnIndices = validateSheet(infoSheet);
+  let leadersWithoutMatches = [];
+  let membersWithoutMatches = [];
+  if (columnIndices) {
+    const roster = separateLeadersAndMembers(studentData.slice(1), columnIndices);
+    const matchedLeaders = new Set(leaders.map(leader => normalizeEmail(leader.email)));
+    const matchedMembers = new Set(members.map(member => normalizeEmail(member.email)));
+    leadersWithoutMatches = roster.leaders.map(row => row[columnIndices['Email']])
+      .filter(email => !matchedLeaders.has(normalizeEmail(email)));
+    membersWithoutMatches = roster.members.map(row => row[columnIndices['Email']])
+      .filter(email => !matchedMembers.has(normalizeEmail(email)));
+  }
+
+  const scores = data.slice(1).filter(row => row[0] && row[1] && row[2] !== '').map(row => Number(row[2]));
+  const round = value => Math.round(value * 100) / 100;
+  return {
+    title,
+    generatedAt: new Date().toLocaleString(),
+    stats: {
+      leaders: leaders.length,
+      members: members.length,
+      matches: scores.length,
+      averageScore: scores.length ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : 'n/a',
+      highestScore: scores.length ? Math.max(...scores) : 'n/a',
+      lowestScore: scores.length ? Math.min(...scores) : 'n/a',
+      leadersWithoutMatches: columnIndices ? leadersWithoutMatches.length : 'n/a',
+      membersWithoutMatches: columnIndices ? membersWithoutMatches.length : 'n/a'
+    },
+    leaders,
+    members,
+    leadersWithoutMatches,
+    membersWithoutMatches,
+    rosterAvailable: Boolean(columnIndices)
+  };
+}
+
+/**
+ * Returns the HTML template of the packet (see doc-templates.js for the placeholder syntax).
+ *
+ * @returns {string} - The template.
+ */
+function getPacketTemplate() {
+  const section = (list, roleLabel, matchLabel) => [
+    `{{#${list}}}`,
+    '<section id="{{anchor}}">',
+    `<h3>{{firstName}} {{lastName}} (${roleLabel})</h3>`,
+    '<p>{{email}}{{#docUrl}} · <a href="{{docUrl}}">Open doc</a>{{/docUrl}}</p>',
+    '{{^matches}}<p>No matches.</p>{{/matches}}',
+    '<table>',
+    `<tr><th>${matchLabel}</th><th>Score</th><th>Common Interests</th><th>Skills They Offer</th><th>Skills You Offer</th><th>Shared Times</th></tr>`,
+    '{{#matches}}',
+    '<tr><td>{{firstName}} {{lastName}}<br>{{email}}</td><td>{{score}}</td><td>{{commonInterests}}</td><td>{{skillsTheyOffer}}</td><td>{{skillsYouOffer}}</td><td>{{sharedSlots}}</td></tr>',
+    '{{/matches}}',
+    '</table>',
+    '</section>',
+    `{{/${list}}}`
+  ].join('\n');
+  const emailList = list => [
+    `{{^${list}}}<p>None.</p>{{/${list}}}`,
+    '<ul>',
+    `{{#${list}}}`,
+    '<li>{{.}}</li>',
+    `{{/${list}}}`,
+    '</ul>'
+  ].join('\n');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html><head><meta charset="utf-8"><title>{{title}}</title>',
+    '<style>',
+    'body { font-family: Arial, sans-serif; font-size: 11px; }',
+    'table { border-collapse: collapse; width: 100%; }',
+    'th, td { border: 1px solid #ccc; padding: 4px; text-align: left; vertical-align: top; }',
+    'section { page-break-inside: avoid; margin-bottom: 16px; }',
+    '</style></head><body>',
+    '<h1>{{title}}</h1>',
+    '<p>Generated {{generatedAt}}</p>',
+    '<h2>Contents</h2>',
+    '<ol>',
+    '<li><a href="#summary">Summary</a></li>',
+    '<li><a href="#leaders">Team Leaders</a><ol>',
+    '{{#leaders}}',
+    '<li><a href="#{{anchor}}">{{firstName}} {{lastName}}</a> ({{matchCount}} matches)</li>',
+    '{{/leaders}}',
+    '</ol></li>',
+    '<li><a href="#members">Team Members</a><ol>',
+    '{{#members}}',
+    '<li><a href="#{{anchor}}">{{firstName}} {{lastName}}</a> ({{matchCount}} matches)</li>',
+    '{{/members}}',
+    '</ol></li>',
+    '</ol>',
+    '<h2 id="summary">Summary</h2>',
+    '{{#stats}}',
+    '<table>',
+    '<tr><th>Team leaders with matches</th><td>{{leaders}}</td></tr>',
+    '<tr><th>Team members with matches</th><td>{{members}}</td></tr>',
+    '<tr><th>Matches</th><td>{{matches}}</td></tr>',
+    '<tr><th>Average score</th><td>{{averageScore}}</td></tr>',
+    '<tr><th>Highest / lowest score</th><td>{{highestScore}} / {{lowestScore}}</td></tr>',
+    '<tr><th>Team leaders with no matches</th><td>{{leadersWithoutMatches}}</td></tr>',
+    '<tr><th>Team members with no matches</th><td>{{membersWithoutMatches}}</td></tr>',
+    '</table>',
+    '{{/stats}}',
+    '{{^rosterAvailable}}<p>The matchmaking sheet is missing matchmaking columns, so students without matches could not be listed.</p>{{/rosterAvailable}}',
+    '<h3>Team members with no matches</h3>',
+    emailList('membersWithoutMatches'),
+    '<h3>Team leaders with no matches</h3>',
+    emailList('leadersWithoutMatches'),
+    '<h2 id="leaders">Team Leaders</h2>',
+    section('leaders', 'Team Leader', 'Match'),
+    '<h2 id="members">Team Members</h2>',
+    section('members', 'Team Member', 'Team Leader'),
+    '</body></html>'
+  ].join('\n');
+}
+
+/**
+ * Escapes every string in a value (recursively through lists and objects) for use in HTML.
+ *
+ * @param {*} value - The value.
+ * @returns {*} - A copy of the value with all strings escaped.
+ */
+function escapeHtmlValues(value) {
+  if (typeof value === 'string') {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+  if (Array.isArray(value)) return value.map(escapeHtmlValues);
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    const escaped = {};
+    Object.keys(value).forEach(key => escaped[key] = escapeHtmlValues(value[key]));
+    return escaped;
+  }
+  return value;
+}
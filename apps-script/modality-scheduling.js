@@ -0,0 +1,147 @@
+/**
+ * Schedules sessions with in-person and virtual students handled separately, so it is clear
+ * which sessions need Zoom setup.
+ *
+ * In-person sessions are always chosen from in-person students' availability. Virtual students are then
+ * placed according to the mode:
+ *   - "dedicated": virtual students only attend online sessions chosen from their own availability.
+ *   - "flexible": virtual students join in-person sessions they are available for (making them hybrid),
+ *     concentrated in as few sessions as possible; anyone left over gets an online session.
+ *
+ * @param {Object} slots - A dictionary of time slots to student email lists.
+ * @param {Array<string>} virtualStudents - Emails of students attending virtually.
+ * @param {Object} [options={}] - Scheduling settings.
+ * @param {string} [options.mode="flexible"] - "dedicated" or "flexible" (see above).
+ * @param {number} [options.minGroupSize=1] - Minimum number of in-person students for an in-person session.
+ * @param {number} [options.minOnlineGroupSize=1] - Minimum number of virtual students for an online-only session.
+ * @returns {{sessions: Array<Object>, unscheduled: Array<string>}} - Sessions of the form
+ *   `{ slot, modality, inPerson, virtual }` (modality is "In-Person", "Hybrid" or "Online"),
+ *   and the students who could not be placed in any session.
+ */
+function scheduleByModality(slots, virtualStudents, { mode = "flexible", minGroupSize = 1, minOnlineGroupSize = 1 } = {}) {
+  if (!["dedicated", "flexible"].includes(mode)) {
+    throw new Error(`Unknown modality mode '${mode}'. Use "dedicated" or "flexible".`);
+  }
+
+  const virtualSet = new Set(virtualStudents);
+  const filterSlots = keep => Object.fromEntries(
+    Object.entries(slots)
+      .map(([slot, emails]) => [slot, emails.filter(keep)])
+      .filter(([_, emails]) => emails.length > 0)
+  );
+
+  // In-person sessions are driven by in-person availability only
+  const sessions = selectIterativeSlots(filterSlots(email => !virtualSet.has(email)), minGroupSize)
+    .map(([slot, students]) => ({ slot, modality: "In-Person", inPerson: students, virtual: [] }));
+
+  let remainingVirtual = new Set(Object.values(slots).flat().filter(email => virtualSet.has(email)));
+
+  if (mode === "flexible") {
+    // Repeatedly open the session that can take the most remaining virtual students
+    while (remainingVirtual.size > 0) {
+      let bestSession = null;
+      let bestJoiners = [];
+      sessions.forEach(session => {
+        const joiners = slots[session.slot].filter(email => remainingVirtual.has(email));
+        if (joiners.length > bestJoiners.length) {
+          bestSession = session;
+          bestJoiners = joiners;
+        }
+      });
+      if (!bestSession) break;
+
+      bestSession.modality = "Hybrid";
+      bestSession.virtual.push(...bestJoiners);
+      bestJoiners.forEach(email => remainingVirtual.delete(email));
+    }
+  }
+
+  // Virtual students who are not in a hybrid session get online-only sessions
+  selectIterativeSlots(filterSlots(email => remainingVirtual.has(email)), minOnlineGroupSize)
+    .forEach(([slot, students]) => {
+      sessions.push({ slot, modality: "Online", inPerson: [], virtual: students });
+      students.forEach(email => remainingVirtual.delete(email));
+    });
+
+  const scheduled = new Set(sessions.flatMap(session => [...session.inPerson, ...session.virtual]));
+  const unscheduled = [...new Set(Object.values(slots).flat())].filter(email => !scheduled.has(email));
+
+  return { sessions, unscheduled };
+}
+
+/**
+ * Writes modality-aware sessions to a sheet, with separate in-person and virtual counts
+ * and a 'Needs Zoom' flag for every session that has virtual attendees.
+ *
+ * @param {Object} params - Object of named parameters.
+ * @param {Array<Object>} params.sessions - Sessions from `scheduleByModality()`.
+ * @param {string} params.sheetName - Name of the sheet to write to (created or cleared if exists).
+ * @param {Array<string>} [params.excludedStudents=[]] - Students excluded from all sessions.
+ */
+function writeModalitySessionsToSheet({ sessions, sheetName, excludedStudents = [] }) {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var sheet = ss.getSheetByName(sheetName) || ss.insertSheet(sheetName);
+
+  // Clear the sheet to start fresh
+  sheet.clear();
+
+  const headers = ['Time Slot', 'Modality', 'Needs Zoom', 'In-Person Students', 'Num In-Person',
+                   'Virtual Students', 'Num Virtual', 'Total Students', 'Excluded Students'];
+  sheet.appendRow(headers);
+
+  const rows = sessions.map(({ slot, modality, inPerson, virtual }) => [
+    slot, modality, virtual.length > 0 ? 'Yes' : 'No', inPerson.join(', '), inPerson.length,
+    virtual.join(', '), virtual.length, inPerson.length + virtual.length, ''
+  ]);
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  }
+  sheet.getRange("I2").setValue(excludedStudents.join(', '));
+
+  Logger.log('Modality-aware sessions written to sheet ' + sheetName);
+}
+
+/**
+ * Schedules a track with separate in-person and virtual handling and writes the sessions to a sheet.
+ *
+ * @param {string} track - Track name to filter students by.
+ * @param {number} thresh - Minimum number of students per time slot.
+ * @param {string} outputSheetName - Name of the sheet to write results to.
+ * @param {number} virtualIndex - Index of the "Yes"/"No" virtual column in the track responses sheet.
+ * @param {Object} [options={}] - `mode`, `minGroupSize` and `minOnlineGroupSize` (see `scheduleByModality()`),
+ *   plus an optional `durationMinutes`.
+ */
+function processModalityByTrack(track, thresh, outputSheetName, virtualIndex, options = {}) {
+  const emails = getEmailsByTrack(track);
+  const virtualStudents = getEmailsWithCondition(`${track}-responses`, 0, virtualIndex);
+  const [allSlots, excStudents] = findAvailableSlotsForEmails(emails, thresh, options.durationMinutes);
+  const { sessions, unscheduled } = scheduleByModality(allSlots, virtualStudents, options);
+  writeModalitySessionsToSheet({
+    sessions: sessions,
+    sheetName: outputSheetName,
+    excludedStudents: [...excStudents, ...unscheduled]
+  });
+}
+
+/**
+ * Schedules a custom list of emails with separate in-person and virtual handling and writes the sessions to a sheet.
+ *
+ * @param {string} sheetName - Name of the sheet containing student emails.
+ * @param {number} columnIndex - Index of the column with email addresses.
+ * @param {number} thresh - Minimum number of students per time slot.
+ * @param {string} outputSheetName - Name of the sheet to write results to.
+ * @param {number} virtualIndex - Index of the "Yes"/"No" virtual column in the same sheet.
+ * @param {Object} [options={}] - Modality settings (see `processModalityByTrack()`).
+ */
+function processModalityBySheet(sheetName, columnIndex, thresh, outputSheetName, virtualIndex, options = {}) {
+  const emails = getEmailsFromSheet(sheetName, columnIndex);
+  const virtualStudents = getEmailsWithCondition(sheetName, columnIndex, virtualIndex);
+  const [allSlots, excStudents] = findAvailableSlotsForEmails(emails, thresh, options.durationMinutes);
+  const { sessions, unscheduled } = scheduleByModality(allSlots, virtualStudents, options);
+  writeModalitySessionsToSheet({
+    sessions: sessions,
+    sheetName: outputSheetName,
+    excludedStudents: [...excStudents, ...unscheduled]
+  });
+}
@@ -0,0 +1,143 @@
+/**
+ * Min-Cost Flow Utility Functions
+ *
+ * This file implements a small min-cost max-flow solver used by the assignment features
+ * (e.g., placing students into capacity-limited sessions).
+ *
+ * ✅ Usage:
+ *   - Create a network with `createFlowNetwork(numNodes)`; nodes are numbered 0..numNodes-1.
+ *   - Add directed edges with `addFlowEdge(network, from, to, capacity, cost)`, keeping the returned edge id.
+ *   - Call `minCostMaxFlow(network, source, sink)` to push as much flow as possible at minimum total cost.
+ *   - Read the flow on any edge afterwards with `getEdgeFlow(network, edgeId)`.
+ *
+ * ⚠️ Notes:
+ *   - Uses successive shortest paths with SPFA (Bellman-Ford queue), so negative edge costs are allowed
+ *     as long as the network has no negative-cost cycles.
+ *   - Convex costs (e.g., splitting a capacity into unit edges with increasing cost) can be used to
+ *     spread flow evenly across several edges.
+ */
+
+/**
+ * Creates an empty flow network.
+ *
+ * @param {number} numNodes - Number of nodes; nodes are numbered 0..numNodes-1.
+ * @returns {Object} - The network: per-node adjacency lists of edge ids, plus per-edge target, capacity,
+ *   cost and flow arrays.
+ */
+function createFlowNetwork(numNodes) {
+  return {
+    numNodes: numNodes,
+    adjacency: Array.from({ length: numNodes }, () => []),
+    to: [],
+    capacity: [],
+    cost: [],
+    flow: []
+  };
+}
+
+/**
+ * Adds a directed edge (and its zero-capacity residual edge) to the network.
+ *
+ * @param {Object} network - The network from `createFlowNetwork()`.
+ * @param {number} from - The start node.
+ * @param {number} to - The end node.
+ * @param {number} capacity - Maximum flow through the edge.
+ * @param {number} [cost=0] - Cost per unit of flow.
+ * @returns {number} - The edge id, to pass to `getEdgeFlow()` after solving.
+ */
+function addFlowEdge(network, from, to, capacity, cost = 0) {
+  const id = network.to.length;
+  // Forward edge, immediately followed by its residual edge (id ^ 1)
+  network.to.push(to, from);
+  network.capacity.push(capacity, 0);
+  network.cost.push(cost, -cost);
+  network.flow.push(0, 0);
+  network.adjacency[from].push(id);
+  network.adjacency[to].push(id + 1);
+  return id;
+}
+
+/**
+ * Returns the flow on an edge after `minCostMaxFlow()` has run.
+ *
+ * @param {Object} network - The network from `createFlowNetwork()`.
+ * @param {number} edgeId - The edge id returned by `addFlowEdge()`.
+ * @returns {number} - The units of flow on the edge.
+ */
+function getEdgeFlow(network, edgeId) {
+  return network.flow[edgeId];
+}
+
+/**
+ * Pushes as much flow as possible from source to sink at the minimum total cost, updating the
+ * network's edge flows in place.
+ *
+ * @param {Object} network - The network from `createFlowNetwork()`.
+ * @param {number} source - The source node.
+ * @param {number} sink - The sink node.
+ * @returns {{flow: number, cost: number}} - The total flow pushed and its total cost.
+ */
+function minCostMaxFlow(network, source, sink) {
+  let totalFlow = 0;
+  let totalCost = 0;
+
+  while (true) {
+    const { distance, parentEdge } = findShortestPath(network, source);
+    if (distance[sink] === Infinity) break;
+
+    // Bottleneck capacity along the path
+    let pushed = Infinity;
+    for (let node = sink; node !== source; node = network.to[parentEdge[node] ^ 1]) {
+      const edge = parentEdge[node];
+      pushed = Math.min(pushed, network.capacity[edge] - network.flow[edge]);
+    }
+
+    for (let node = sink; node !== source; node = network.to[parentEdge[node] ^ 1]) {
+      const edge = parentEdge[node];
+      network.flow[edge] += pushed;
+      network.flow[edge ^ 1] -= pushed;
+    }
+
+    totalFlow += pushed;
+    totalCost += pushed * distance[sink];
+  }
+
+  return { flow: totalFlow, cost: totalCost };
+}
+
+/**
+ * Finds the cheapest path from the source to every node through edges with spare capacity (SPFA).
+ *
+ * @param {Object} network - The network from `createFlowNetwork()`.
+ * @param {number} source - The start node.
+ * @returns {{distance: Array<number>, parentEdge: Array<number>}} - The cost to reach each node (Infinity if
+ *   unreachable) and the edge used to reach it (-1 for the source and unreachable nodes).
+ */
+function findShortestPath(network, source) {
+  const distance = new Array(network.numNodes).fill(Infinity);
+  const parentEdge = new Array(network.numNodes).fill(-1);
+  const inQueue = new Array(network.numNodes).fill(false);
+  const queue = [source];
+  distance[source] = 0;
+  inQueue[source] = true;
+
+  for (let head = 0; head < queue.length; head++) {
+    const node = queue[head];
+    inQueue[node] = false;
+    network.adjacency[node].forEach(edge => {
+      if (network.capacity[edge] - network.flow[edge] <= 0) return;
+      const next = network.to[edge];
+      const candidate = distance[node] + network.cost[edge];
+      if (candidate < distance[next]) {
+        distance[next] = candidate;
+        parentEdge[next] = edge;
+        if (!inQueue[next]) {
+          inQueue[next] = true;
+          queue.push(next);
+        }
+      }
+    });
+  }
+
+  return { distance, parentEdge };
+}
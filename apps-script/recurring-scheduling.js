@@ -0,0 +1,173 @@
+/**
+ * Finds combinations of weekly time slots (pairs, triples, ...) that the same students can all attend,
+ * for tracks that meet more than once a week.
+ *
+ * @param {Object} slots - A dictionary of time slots ("Mon 10am-11am") to student email lists.
+ * @param {Object} [options={}] - Combination settings.
+ * @param {number} [options.sessionsPerWeek=2] - Number of meetings per week (slots per combination).
+ * @param {number} [options.minDayGap=2] - Minimum number of days between any two meetings
+ *   (2 means no meetings on the same or adjacent days, counting Sunday and Monday as adjacent).
+ * @param {number} [options.minAttendance=1] - Minimum number of students who must be able to attend every slot.
+ * @returns {Array<{slots: Array<string>, students: Array<string>}>} - All qualifying combinations,
+ *   sorted by the number of students who can attend all of their slots (descending).
+ */
+function findRecurringSlotCombinations(slots, { sessionsPerWeek = 2, minDayGap = 2, minAttendance = 1 } = {}) {
+  const dayIndex = {};
+  getAvailabilityDays().forEach(({ short }, index) => dayIndex[short] = index);
+
+  const candidates = Object.entries(slots)
+    .map(([key, emails]) => ({ key, day: dayIndex[(parseSlotKey(key) || {}).day], students: new Set(emails) }))
+    .filter(slot => slot.day !== undefined && slot.students.size >= minAttendance)
+    .sort((a, b) => a.day - b.day);
+
+  const dayDistance = (a, b) => {
+    const gap = Math.abs(a - b);
+    return Math.min(gap, 7 - gap);
+  };
+
+  const combinations = [];
+  const chosen = [];
+
+  // Depth-first search over slots in day order, intersecting attendees as slots are added
+  const search = (startIndex, attendees) => {
+    if (chosen.length === sessionsPerWeek) {
+      combinations.push({ slots: chosen.map(slot => slot.key), students: [...attendees] });
+      return;
+    }
+    for (let i = startIndex; i < candidates.length; i++) {
+      const slot = candidates[i];
+      if (chosen.some(other => dayDistance(other.day, slot.day) < minDayGap)) continue;
+
+      const common = attendees === null
+        ? new Set(slot.students)
+        : new Set([...attendees].filter(email => slot.students.has(email)));
+      if (common.size < minAttendance) continue;
+
+      chosen.push(slot);
+      search(i + 1, common);
+      chosen.pop();
+    }
+  };
+
+  search(0, null);
+
+  return combinations.sort((a, b) => b.students.length - a.students.length);
+}
+
+/**
+ * Picks combinations iteratively: the combination the most remaining students can attend becomes a cohort,
+ * those students are removed, and the process repeats until no combination reaches the minimum group size.
+ *
+ * @param {Array<Object>} combinations - Combinations from `findRecurringSlotCombinations()`.
+ * @param {number} minGroupSize - Minimum number of students required in a cohort.
+ * @returns {Array<{slots: Array<string>, students: Array<string>}>} - Selected cohorts and their students.
+ */
+function selectRecurringCohorts(combinations, minGroupSize) {
+  const remainingStudents = new Set(combinations.flatMap(combination => combination.students));
+  const cohorts = [];
+
+  while (remainingStudents.size > 0) {
+    let best = null;
+    let bestStudents = [];
+    combinations.forEach(combination => {
+      const available = combination.students.filter(email => remainingStudents.has(email));
+      if (available.length > bestStudents.length) {
+        best = combination;
+        bestStudents = available;
+      }
+    });
+
+    if (!best || bestStudents.length === 0 || bestStudents.length < minGroupSize) break;
+
+    cohorts.push({ slots: best.slots, students: bestStudents });
+    bestStudents.forEach(email => remainingStudents.delete(email));
+  }
+
+  return cohorts;
+}
+
+/**
+ * Writes recurring slot combinations with their attendance, followed by the selected cohorts.
+ *
+ * @param {Object} params - Object of named parameters.
+ * @param {Array<Object>} params.combinations - Combinations from `findRecurringSlotCombinations()`.
+ * @param {Array<Object>} params.cohorts - Cohorts from `selectRecurringCohorts()`.
+ * @param {string} params.sheetName - Name of the sheet to write to (created or cleared if exists).
+ * @param {number} [params.maxResults=50] - Maximum number of combinations to list.
+ * @param {Array<string>} [params.excludedStudents=[]] - Students not placed in any cohort.
+ */
+function writeRecurringCombinationsToSheet({ combinations, cohorts, sheetName, maxResults = 50, excludedStudents = [] }) {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var sheet = ss.getSheetByName(sheetName) || ss.insertSheet(sheetName);
+
+  // Clear the sheet to start fresh
+  sheet.clear();
+
+  const rows = [['Time Slots', 'Students Attending All', 'Num Students', 'Excluded Students']];
+  combinations.slice(0, maxResults).forEach(({ slots, students }) => {
+    rows.push([slots.join(' + '), students.join(', '), students.length, '']);
+  });
+
+  rows.push(['', '', '', '']);
+  rows.push(['Selected Cohort Slots', 'Cohort Students', 'Num Students', '']);
+  cohorts.forEach(({ slots, students }) => {
+    rows.push([slots.join(' + '), students.join(', '), students.length, '']);
+  });
+
+  rows[1][3] = excludedStudents.join(', '); // Excluded students go next to the first combination
+
+  sheet.getRange(1, 1, rows.length, 4).setValues(rows);
+
+  Logger.log('Recurring slot combinations written to sheet ' + sheetName);
+}
+
+/**
+ * Finds recurring multi-session schedules for the given students and writes them to a sheet.
+ *
+ * @param {Array<string>} emails - Student emails to schedule.
+ * @param {number} thresh - Minimum number of students per individual time slot.
+ * @param {string} outputSheetName - Name of the sheet to write results to.
+ * @param {Object} [options={}] - `sessionsPerWeek`, `minDayGap`, `minAttendance` (see `findRecurringSlotCombinations()`),
+ *   plus `minGroupSize` (default 1) for cohorts, `maxResults` (default 50) for the number of combinations listed
+ *   and `durationMinutes` for meetings longer than one form slot.
+ */
+function processRecurringAvailability(emails, thresh, outputSheetName, options = {}) {
+  const { minGroupSize = 1, maxResults = 50, durationMinutes } = options;
+  const [allSlots] = findAvailableSlotsForEmails(emails, thresh, durationMinutes);
+  const combinations = findRecurringSlotCombinations(allSlots, options);
+  const cohorts = selectRecurringCohorts(combinations, minGroupSize);
+
+  const placed = new Set(cohorts.flatMap(cohort => cohort.students));
+  writeRecurringCombinationsToSheet({
+    combinations: combinations,
+    cohorts: cohorts,
+    sheetName: outputSheetName,
+    maxResults: maxResults,
+    excludedStudents: emails.filter(email => !placed.has(email))
+  });
+}
+
+/**
+ * Finds recurring multi-session schedules for a track (e.g., BUILD meeting twice a week).
+ *
+ * @param {string} track - Track name to filter students by.
+ * @param {number} thresh - Minimum number of students per individual time slot.
+ * @param {string} outputSheetName - Name of the sheet to write results to.
+ * @param {Object} [options={}] - Recurring schedule settings (see `processRecurringAvailability()`).
+ */
+function processRecurringByTrack(track, thresh, outputSheetName, options = {}) {
+  processRecurringAvailability(getEmailsByTrack(track), thresh, outputSheetName, options);
+}
+
+/**
+ * Finds recurring multi-session schedules for a custom list of emails in a sheet.
+ *
+ * @param {string} sheetName - Name of the sheet containing student emails.
+ * @param {number} columnIndex - Index of the column with email addresses.
+ * @param {number} thresh - Minimum number of students per individual time slot.
+ * @param {string} outputSheetName - Name of the sheet to write results to.
+ * @param {Object} [options={}] - Recurring schedule settings (see `processRecurringAvailability()`).
+ */
+function processRecurringBySheet(sheetName, columnIndex, thresh, outputSheetName, options = {}) {
+  processRecurringAvailability(getEmailsFromSheet(sheetName, columnIndex), thresh, outputSheetName, options);
+}
@@ -0,0 +1,114 @@
+/**
+ * Explains why each student was left out of a schedule, and what threshold would let them join.
+ *
+ * Reasons, checked in order:
+ *   - "Not found in availability sheet": no row has this email.
+ *   - "Email differs in capitalization or spacing": a row matches only after trimming and lowercasing.
+ *   - "No availability submitted": the row exists but every day column is empty.
+ *   - "No window of N minutes": the student has slots, but none form a window of `durationMinutes`.
+ *   - "All available slots below threshold": the student has slots, but none reach the threshold.
+ *
+ * @param {Array<string>} emails - The students to diagnose (e.g., the excluded list from `findAvailableSlotsForEmails()`).
+ * @param {Array<string>} cohortEmails - Everyone considered for the schedule, used to count attendance per slot.
+ * @param {number} thresh - Minimum number of students per time slot that was used.
+ * @param {number} [durationMinutes] - Optional meeting length that was used.
+ * @returns {Array<Object>} - One diagnostic per student: `{ email, reason, availableSlots, nearestSlot,
+ *   nearestSlotCount, relaxBy }`, where availableSlots lists "slot (count)" entries.
+ */
+function diagnoseExcludedStudents(emails, cohortEmails, thresh, durationMinutes) {
+  const { data, columns } = readAvailabilitySheet(["email", "days"]);
+  const rowsByEmail = {};
+  const rowsByNormalizedEmail = {};
+  data.slice(1).forEach(row => {
+    const email = row[columns.email];
+    rowsByEmail[email] = row;
+    rowsByNormalizedEmail[String(email).trim().toLowerCase()] = row;
+  });
+
+  const allSlots = collectSlotsForEmails(cohortEmails, durationMinutes);
+
+  return emails.map(email => {
+    const diagnostic = { email, reason: "", availableSlots: [], nearestSlot: "", nearestSlotCount: 0, relaxBy: "" };
+
+    if (!rowsByEmail[email]) {
+      const normalizedRow = rowsByNormalizedEmail[String(email).trim().toLowerCase()];
+      diagnostic.reason = normalizedRow
+        ? `Email differs in capitalization or spacing from '${normalizedRow[columns.email]}'`
+        : "Not found in availability sheet";
+      return diagnostic;
+    }
+
+    if (getRowSlotKeys(rowsByEmail[email], columns).length === 0) {
+      diagnostic.reason = "No availability submitted";
+      return diagnostic;
+    }
+
+    const studentSlots = Object.entries(allSlots).filter(([_, list]) => list.includes(email));
+    if (studentSlots.length === 0) {
+      diagnostic.reason = durationMinutes ? `No window of ${durationMinutes} minutes` : "Not among the students considered for the schedule";
+      return diagnostic;
+    }
+
+    studentSlots.sort((a, b) => b[1].length - a[1].length);
+    diagnostic.availableSlots = studentSlots.map(([slot, list]) => `${slot} (${list.length})`);
+    diagnostic.nearestSlot = studentSlots[0][0];
+    diagnostic.nearestSlotCount = studentSlots[0][1].length;
+
+    if (diagnostic.nearestSlotCount < thresh) {
+      diagnostic.reason = `All available slots below threshold of ${thresh}`;
+      diagnostic.relaxBy = thresh - diagnostic.nearestSlotCount;
+    } else {
+      diagnostic.reason = "Available slot meets threshold but was not selected";
+    }
+    return diagnostic;
+  });
+}
+
+/**
+ * Writes exclusion diagnostics to a sheet, one row per student.
+ *
+ * @param {Array<Object>} diagnostics - Diagnostics from `diagnoseExcludedStudents()`.
+ * @param {string} [sheetName="Exclusion Diagnostics"] - Name of the sheet to write to (created or cleared if exists).
+ */
+function writeExclusionDiagnosticsToSheet(diagnostics, sheetName = "Exclusion Diagnostics") {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(sheetName) || ss.insertSheet(sheetName);
+  sheet.clear();
+
+  const rows = [['Student Email', 'Reason', 'Available Slots (students)', 'Nearest Slot', 'Students In Nearest Slot', 'Relax Threshold By']];
+  diagnostics.forEach(({ email, reason, availableSlots, nearestSlot, nearestSlotCount, relaxBy }) => {
+    rows.push([email, reason, availableSlots.join(', '), nearestSlot, nearestSlot ? nearestSlotCount : '', relaxBy]);
+  });
+  sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+
+  Logger.log(`Exclusion diagnostics for ${diagnostics.length} students written to sheet ${sheetName}`);
+}
+
+/**
+ * Diagnoses the students a track's schedule leaves out and writes the report to a sheet.
+ *
+ * @param {string} track - Track name to filter students by.
+ * @param {number} thresh - Minimum number of students per time slot.
+ * @param {string} [sheetName=`${track}-exclusions`] - Name of the sheet to write the report to.
+ * @param {number} [durationMinutes] - Optional meeting length.
+ */
+function diagnoseTrackExclusions(track, thresh, sheetName = `${track}-exclusions`, durationMinutes) {
+  const emails = getEmailsByTrack(track);
+  const [, excStudents] = findAvailableSlotsForEmails(emails, thresh, durationMinutes);
+  writeExclusionDiagnosticsToSheet(diagnoseExcludedStudents(excStudents, emails, thresh, durationMinutes), sheetName);
+}
+
+/**
+ * Diagnoses the students a schedule built from a list of emails leaves out and writes the report to a sheet.
+ *
+ * @param {string} emailSheetName - Name of the sheet containing student emails.
+ * @param {number} columnIndex - Index of the column with email addresses.
+ * @param {number} thresh - Minimum number of students per time slot.
+ * @param {string} [sheetName=`${emailSheetName}-exclusions`] - Name of the sheet to write the report to.
+ * @param {number} [durationMinutes] - Optional meeting length.
+ */
+function diagnoseSheetExclusions(emailSheetName, columnIndex, thresh, sheetName = `${emailSheetName}-exclusions`, durationMinutes) {
+  const emails = getEmailsFromSheet(emailSheetName, columnIndex);
+  const [, excStudents] = findAvailableSlotsForEmails(emails, thresh, durationMinutes);
+  writeExclusionDiagnosticsToSheet(diagnoseExcludedStudents(excStudents, emails, thresh, durationMinutes), sheetName);
+}
@@ -40,26 +40,18 @@ function getEmailsWithCondition(sheetName, emailColumnIndex, conditionColumnInde
 }
 
 /**
- * Returns emails of students in a specified track from the "final-availabilities" sheet.
+ * Returns emails of students in a specified track from the availability sheet ("final-availabilities" by default).
  * Handles students listed under multiple tracks (comma-separated).
  *
  * @param {string} track - The name of the track to filter by.
  * @returns {Array<string>} - A list of emails of students in the given track.
  */ 
 function getEmailsByTrack(track) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("final-availabilities");
-  if (!sheet) {
-    Logger.log("Sheet 'final-availabilities' not found!");
-    return [];
-  }
+  const { data, columns } = readAvailabilitySheet(["email", "track"]);
 
-  const data = sheet.getDataRange().getValues();
-  const trackIndex = 4;
-  const emailIndex = 1;
-  
   return data.slice(1).reduce((emails, row) => {
-    if (row[trackIndex].split(',').map(t => t.trim()).includes(track)) {
-      emails.push(row[emailIndex]);
+    if (String(row[columns.track]).split(',').map(t => t.trim()).includes(track)) {
+      emails.push(row[columns.email]);
     }
     return emails;
   }, []);
@@ -70,19 +62,15 @@ function getEmailsByTrack(track) {
  *
  * @param {string} track - The name of the track to filter students by.
  * @param {number} thresh - Minimum number of students required for a time slot to be included.
+ * @param {number} [durationMinutes] - Optional meeting length. If given, slots are replaced by windows of this
+ *   length (e.g., "Mon 10am-12pm" for 120) built from contiguous availability.
  * @returns {[Object, Array<string>]} - A two-element array:
  *   - First: a dictionary with time slots as keys and lists of student emails as values.
  *   - Second: a list of students who did not fit into any qualifying time slot.
  */
-function findAvailableSlots(track, thresh) { 
-
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("final-availabilities");
-  const data = sheet.getDataRange().getValues();
+function findAvailableSlots(track, thresh, durationMinutes) { 
 
-  const trackIndex = 4;
-  const emailIndex = 1;
-  const availabilityIndices = [5, 6, 7, 8, 9, 10, 11]; // Assuming availability columns are from C (3) to I (9)
-  const days = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"]
+  const { data, columns } = readAvailabilitySheet(["email", "track", "days"]);
 
   const availableSlots = {};
   const studentsInTrack = [];
@@ -90,37 +78,31 @@ function findAvailableSlots(track, thresh) {
 
   // Collect students in the specified track and their availabilities
   for (let i = 1; i < data.length; i++) {
-    const studentTracks = data[i][trackIndex].split(',').map(t => t.trim()); // Split by comma
+    const studentTracks = String(data[i][columns.track]).split(',').map(t => t.trim()); // Split by comma
     const found = studentTracks.some(string => {
       if (string.includes(track)) {
         return true; // Stops the loop on the first match
       }
       return false; // Continue the loop
     });
-    const email = data[i][emailIndex];
+    const email = data[i][columns.email];
 
     if (found) {
       studentsInTrack.push(email);
       // Check each availability column
-      availabilityIndices.forEach((index) => {
-        const timeSlotsString = data[i][index];
-        if (timeSlotsString) { // Check if the availability column is not empty
-          const timeSlots = timeSlotsString.split(',').map(slot => slot.trim());
-          timeSlots.forEach(slot => {
-            const key = `${days[index-5]} ${slot}`;
-            if (!availableSlots[key]) {
-              availableSlots[key] = [];
-            }
-            availableSlots[key].push(email);
-          });
+      getRowSlotKeys(data[i], columns).forEach(key => {
+        if (!availableSlots[key]) {
+          availableSlots[key] = [];
         }
+        availableSlots[key].push(email);
       });
     }
   }
 
   // Filter out slots with less than THRESH students
+  const candidateSlots = durationMinutes ? findAvailableWindows(availableSlots, durationMinutes) : availableSlots;
   const filteredSlots = {};
-  for (const [key, emails] of Object.entries(availableSlots)) {
+  for (const [key, emails] of Object.entries(candidateSlots)) {
     if (emails.length >= thresh) {
       filteredSlots[key] = emails;
     }
@@ -147,38 +129,15 @@ function findAvailableSlots(track, thresh) {
  *
  * @param {Array<string>} emails - List of student emails to consider.
  * @param {number} thresh - Minimum number of students required per time slot.
+ * @param {number} [durationMinutes] - Optional meeting length (see `findAvailableSlots()`).
  * @returns {[Object, Array<string>]} - A two-element array:
  *   - First: a dictionary with time slots as keys and lists of student emails as values.
  *   - Second: a list of students who did not fit into any qualifying time slot.
  */
-function findAvailableSlotsForEmails(emails, thresh) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("final-availabilities");
-  const data = sheet.getDataRange().getValues();
-  
-  const emailIndex = 1;
-  const availabilityIndices = [5, 6, 7, 8, 9, 10, 11];
-  const days = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
-  
-  const availableSlots = {};
+function findAvailableSlotsForEmails(emails, thresh, durationMinutes) {
+  const availableSlots = collectSlotsForEmails(emails, durationMinutes);
   const excludedStudents = [];
 
-  for (let i = 1; i < data.length; i++) {
-    const email = data[i][emailIndex];
-    if (!emails.includes(email)) continue;
-    
-    availabilityIndices.forEach((index) => {
-      const timeSlotsString = data[i][index];
-      if (timeSlotsString) {
-        const timeSlots = timeSlotsString.split(',').map(slot => slot.trim());
-        timeSlots.forEach(slot => {
-          const key = `${days[index - 5]} ${slot}`;
-          if (!availableSlots[key]) availableSlots[key] = [];
-          availableSlots[key].push(email);
-        });
-      }
-    });
-  }
-
   const filteredSlots = Object.fromEntries(
     Object.entries(availableSlots).filter(([_, list]) => list.length >= thresh)
   );
@@ -189,6 +148,31 @@ function findAvailableSlotsForEmails(emails, thresh) {
   return [filteredSlots, excludedStudents];
 }
 
+/**
+ * Builds the full (unfiltered) mapping of time slots to the provided students available in them.
+ *
+ * @param {Array<string>} emails - List of student emails to consider.
+ * @param {number} [durationMinutes] - Optional meeting length (see `findAvailableSlots()`).
+ * @returns {Object} - A dictionary with time slots as keys and lists of student emails as values.
+ */
+function collectSlotsForEmails(emails, durationMinutes) {
+  const { data, columns } = readAvailabilitySheet(["email", "days"]);
+  
+  const availableSlots = {};
+
+  for (let i = 1; i < data.length; i++) {
+    const email = data[i][columns.email];
+    if (!emails.includes(email)) continue;
+    
+    getRowSlotKeys(data[i], columns).forEach(key => {
+      if (!availableSlots[key]) availableSlots[key] = [];
+      availableSlots[key].push(email);
+    });
+  }
+
+  return durationMinutes ? findAvailableWindows(availableSlots, durationMinutes) : availableSlots;
+}
+
 /**
  * Selects the minimum number of time slots needed to cover all students at least once.
  *
@@ -198,64 +182,64 @@ function findAvailableSlotsForEmails(emails, thresh) {
 function getMinimumTimeSlots(filteredSlots) {
   const studentsCovered = new Set(); // Track students who are already covered
   const selectedSlots = {}; // Store selected time slots with corresponding emails
+  const remainingSlots = Object.entries(filteredSlots); // Slots that have not been picked yet
 
   // Get all unique students
   const allStudents = new Set(Object.values(filteredSlots).flat());
 
   // While there are still students not covered
   while (studentsCovered.size < allStudents.size) {
-    
-    // Convert the object into a sorted array of entries based on new coverage
-    const sortedSlots = Object.entries(filteredSlots).sort((a, b) => {
-      const newCoverageA = a[1].filter(email => !studentsCovered.has(email)).length;
-      const newCoverageB = b[1].filter(email => !studentsCovered.has(email)).length;
-      return newCoverageB - newCoverageA; // Sort descending by new coverage
+
+    // Find the slot with the most new coverage (first one wins ties)
+    let bestIndex = -1;
+    let bestCoverage = 0;
+    remainingSlots.forEach(([_, emails], index) => {
+      const newCoverage = emails.filter(email => !studentsCovered.has(email)).length;
+      if (newCoverage > bestCoverage) {
+        bestIndex = index;
+        bestCoverage = newCoverage;
+      }
     });
 
-    // Pick the first slot from the sorted list (it has the most new coverage)
-    const [bestSlotKey, bestSlotEmails] = sortedSlots[0];
-
-    if (bestSlotEmails) {
-      // Add the best slot and its corresponding emails to selectedSlots
-      selectedSlots[bestSlotKey] = bestSlotEmails;
-      // Update the covered students
-      bestSlotEmails.forEach(email => studentsCovered.add(email));
-      // Remove the selected slot from the filteredSlots to avoid reconsidering it
-      delete filteredSlots[bestSlotKey];
-    } else {
-      break; // Break if no new coverage is found
-    }
+    if (bestIndex === -1) break; // Break if no new coverage is found
+
+    const [bestSlotKey, bestSlotEmails] = remainingSlots[bestIndex];
+    // Add the best slot and its corresponding emails to selectedSlots
+    selectedSlots[bestSlotKey] = bestSlotEmails;
+    // Update the covered students
+    bestSlotEmails.forEach(email => studentsCovered.add(email));
+    // Remove the selected slot to avoid reconsidering it
+    remainingSlots.splice(bestIndex, 1);
   }
 
   return selectedSlots; // Return the dictionary of selected slots with emails
 }
 
 /**
- * Selects popular time slots iteratively until all students are covered,
- * and writes results directly to a sheet.
+ * Selects the time slots covering all students, either greedily or with the exact cover solver.
+ *
+ * @param {Object} filteredSlots - A dictionary of time slots to student email lists.
+ * @param {string} scheduleName - Name of the schedule, used when logging the cover report.
+ * @param {Object} [options={}] - `exact` (boolean) and `timeBudgetMs` (number), as in `processAvailabilityByTrack()`.
+ * @returns {Object} - A reduced dictionary of time slots covering all students at least once.
+ */
+function selectTimeSlots(filteredSlots, scheduleName, { exact = false, timeBudgetMs = 20000 } = {}) {
+  if (!exact) return getMinimumTimeSlots(filteredSlots);
+
+  const { selectedSlots, report } = getOptimalTimeSlots(filteredSlots, timeBudgetMs);
+  logCoverReport(scheduleName, report);
+  return selectedSlots;
+}
+
+/**
+ * Selects popular time slots iteratively: the slot with the most remaining students is chosen,
+ * those students are removed, and the process repeats until no slot reaches the minimum group size.
  *
  * @param {Object} selectedSlots - A dictionary of time slots to student emails.
  * @param {number} minGroupSize - Minimum number of students required in a slot.
- * @param {string} sheetName - Name of the output sheet to write to.
- * @param {Array<string>} [virtualStudents=[]] - Optional list of virtual student emails.
- * @param {Array<string>} [excludedStudents=[]] - Optional list of excluded student emails.
- */ 
-function getIterativeTimeSlots(selectedSlots, minGroupSize, sheetName, virtualStudents = [], excludedStudents = []) {
-  var ss = SpreadsheetApp.getActiveSpreadsheet();
-  var sheet = ss.getSheetByName(sheetName) || ss.insertSheet(sheetName);
-
-  if (!sheet) {
-    Logger.log('Sheet with name ' + sheetName + ' not found!');
-    return;
-  }
-  
-  // Clear the sheet to start fresh
-  sheet.clear();
-  
-  // Write headers in the first row
-  const headers = ['Time Slot', 'Students', 'Num Students', 'Excluded Students', 'Num Excluded Students', 'Total Students'];
-  sheet.appendRow(headers);
-  
+ * @returns {Array<[string, Array<string>]>} - Chosen time slots with the students assigned to each, in pick order.
+ */
+function selectIterativeSlots(selectedSlots, minGroupSize) {
   let remainingStudents = new Set();
   Object.values(selectedSlots).forEach(studentList => {
     studentList.forEach(student => remainingStudents.add(student));
@@ -263,8 +247,6 @@ function getIterativeTimeSlots(selectedSlots, minGroupSize, sheetName, virtualSt
 
   let finalSelections = [];
 
-  let totalStudents = 0;
-
   while (remainingStudents.size >= minGroupSize) {
     // Rank slots by the number of available students
     let sortedSlots = Object.entries(selectedSlots)
@@ -281,13 +263,52 @@ function getIterativeTimeSlots(selectedSlots, minGroupSize, sheetName, virtualSt
 
     if (count < minGroupSize) break; // Stop if the group size is below the threshold
 
-    finalSelections.push([chosenSlot, chosenStudents.join(', '), count]);
+    finalSelections.push([chosenSlot, chosenStudents]);
 
     // Remove selected students from the remaining pool
     chosenStudents.forEach(student => remainingStudents.delete(student));
-    totalStudents += count;
   }
 
+  return finalSelections;
+}
+
+/**
+ * Selects popular time slots iteratively until all students are covered,
+ * and writes results directly to a sheet.
+ *
+ * @param {Object} selectedSlots - A dictionary of time slots to student emails.
+ * @param {number} minGroupSize - Minimum number of students required in a slot.
+ * @param {string} sheetName - Name of the output sheet to write to.
+ * @param {Array<string>} [virtualStudents=[]] - Optional list of virtual student emails, listed per slot
+ *   in the 'Virtual Students' and 'Num Virtual' columns.
+ * @param {Array<string>} [excludedStudents=[]] - Optional list of excluded student emails.
+ */ 
+function getIterativeTimeSlots(selectedSlots, minGroupSize, sheetName, virtualStudents = [], excludedStudents = []) {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var sheet = ss.getSheetByName(sheetName) || ss.insertSheet(sheetName);
+
+  if (!sheet) {
+    Logger.log('Sheet with name ' + sheetName + ' not found!');
+    return;
+  }
+  
+  // Clear the sheet to start fresh
+  sheet.clear();
+  
+  // Write headers in the first row
+  const headers = ['Time Slot', 'Students', 'Num Students', 'Excluded Students', 'Num Excluded Students', 'Total Students',
+                   'Virtual Students', 'Num Virtual'];
+  sheet.appendRow(headers);
+
+  let totalStudents = 0;
+
+  const finalSelections = selectIterativeSlots(selectedSlots, minGroupSize).map(([chosenSlot, chosenStudents]) => {
+    const chosenVirtual = chosenStudents.filter(student => virtualStudents.includes(student));
+    totalStudents += chosenStudents.length;
+    return [chosenSlot, chosenStudents.join(', '), chosenStudents.length, '', '', '',
+            chosenVirtual.join(', '), chosenVirtual.length];
+  });
+
   // Write results to the sheet
   finalSelections.forEach(row => sheet.appendRow(row));
 
@@ -357,19 +378,30 @@ function writeSelectedSlotsToSheet({ selectedSlots, sheetName, virtualStudents =
  * @param {string} outputSheetName - Name of the sheet to write results to.
  * @param {number} [virtualIndex=-1] - Optional index from the track responses sheet
  *   indicating which students are virtual.
+ * @param {Object} [options={}] - Optional scheduling settings.
+ * @param {boolean} [options.exact=false] - If true, uses the exact cover solver instead of the greedy one
+ *   and logs the comparison to the "Cover Report" sheet.
+ * @param {number} [options.timeBudgetMs=20000] - Time budget for the exact cover solver.
+ * @param {number} [options.durationMinutes] - Meeting length, for sessions longer than one form slot (e.g., 120).
+ * @param {boolean} [options.diagnose=false] - If true, writes the reason each excluded student was left out
+ *   to a '<outputSheetName>-exclusions' sheet (see `diagnoseExcludedStudents()`).
  */
-function processAvailabilityByTrack(track, thresh, outputSheetName, virtualIndex=-1) {
+function processAvailabilityByTrack(track, thresh, outputSheetName, virtualIndex=-1, options={}) {
   const emails = getEmailsByTrack(track);
   let virtualStudents = []
   if (virtualIndex >= 0) virtualStudents = getEmailsWithCondition(`${track}-responses`, 0, virtualIndex);
-  const [allSlots, excStudents] = findAvailableSlotsForEmails(emails, thresh);
-  const filtered = getMinimumTimeSlots(allSlots);
+  const [allSlots, excStudents] = findAvailableSlotsForEmails(emails, thresh, options.durationMinutes);
+  const filtered = selectTimeSlots(allSlots, outputSheetName, options);
   writeSelectedSlotsToSheet({
     selectedSlots: filtered,
     sheetName: outputSheetName,
     virtualStudents: virtualStudents,
     excludedStudents: excStudents
   });
+  if (options.diagnose) {
+    const diagnostics = diagnoseExcludedStudents(excStudents, emails, thresh, options.durationMinutes);
+    writeExclusionDiagnosticsToSheet(diagnostics, `${outputSheetName}-exclusions`);
+  }
 }
 
 /**
@@ -380,33 +412,50 @@ function processAvailabilityByTrack(track, thresh, outputSheetName, virtualIndex
  * @param {number} thresh - Minimum number of students per time slot.
  * @param {string} outputSheetName - Name of the sheet to write results to.
  * @param {number} [virtualIndex=-1] - Optional index indicating virtual students in track responses sheet.
+ * @param {Object} [options={}] - Optional scheduling settings (see `processAvailabilityByTrack()`).
  */
-function processAvailabilityBySheet(sheetName, columnIndex, thresh, outputSheetName, virtualIndex=-1) {
+function processAvailabilityBySheet(sheetName, columnIndex, thresh, outputSheetName, virtualIndex=-1, options={}) {
   const emails = getEmailsFromSheet(sheetName, columnIndex);
   let virtualStudents = []
   if (virtualIndex >= 0) virtualStudents = getEmailsWithCondition(sheetName, columnIndex, virtualIndex);
-  const [allSlots, excStudents] = findAvailableSlotsForEmails(emails, thresh);
-  const filtered = getMinimumTimeSlots(allSlots);
+  const [allSlots, excStudents] = findAvailableSlotsForEmails(emails, thresh, options.durationMinutes);
+  const filtered = selectTimeSlots(allSlots, outputSheetName, options);
   writeSelectedSlotsToSheet({
     selectedSlots: filtered,
     sheetName: outputSheetName,
     virtualStudents: virtualStudents,
     excludedStudents: excStudents
   });
+  if (options.diagnose) {
+    const diagnostics = diagnoseExcludedStudents(excStudents, emails, thresh, options.durationMinutes);
+    writeExclusionDiagnosticsToSheet(diagnostics, `${outputSheetName}-exclusions`);
+  }
 }
 
 /**
  * Examples of processAVailabilityBySheet() and getIterativeTimeSlots() usages.
  */
 function main() {
+  const config = getConfig();
+  assertConfiguredSheetsExist(config, ["availabilitySheet"]);
+
   // processAvailabilityBySheet("BUILD-regular-responses", 0, 0, "BUILD-regular-schedule", virtualIndex = 7)
   // processAvailabilityBySheet("BUILD-discover-responses", 0, 0, "BUILD-discover-schedule", virtualIndex = 7)
   // processAvailabilityByTrack("SEARCH", 20, "SEARCH-schedule")
   // processAvailabilityByTrack("TEST", 20, "TEST-schedule", virtualIndex=7)
+  // processAvailabilityByTrack("SEARCH", 20, "SEARCH-schedule", -1, { exact: true, timeBudgetMs: 30000 })
   // processAvailabilityBySheet("SEARCH-responses", 0, 0, "SEARCH-schedule")
   // processAvailabilityBySheet("TEST-responses", 0, 0, "TEST-schedule", virtualIndex = 7)
   // processAvailabilityBySheet("last-BUILD-regular-responses", 0, 0, "last-BUILD-regular-schedule", virtualIndex = 7)
   // processAvailabilityBySheet("dinner-party", 1, 0, "dinner-times", virtualIndex = -1)
+  // processAssignmentByTrack("SEARCH", 0, "SEARCH-sessions", { minCapacity: 10, maxCapacity: 25 })
+  // processAssignmentBySheet("TEST-responses", 0, 0, "TEST-sessions", { maxCapacity: 25, numSessions: 4 })
+  // processAvailabilityBySheet("workshop-responses", 0, 0, "workshop-schedule", -1, { durationMinutes: 120 })
+  // processModalityBySheet("TEST-responses", 0, 0, "TEST-modality-schedule", 7, { mode: "flexible" })
+  // runJointScheduling([{ name: "SEARCH", facilitators: ["facilitator@usc.edu"] }, { name: "TEST", maxCapacity: 25 }])
+  // processAvailabilityByTrack("SEARCH", 20, "SEARCH-schedule", -1, { diagnose: true })
+  // exportScheduleToIcs("SEARCH-schedule", { location: "eHub, Fertitta Hall" })
+  // processRecurringBySheet("BUILD-regular-responses", 0, 0, "BUILD-regular-recurring", { sessionsPerWeek: 2, minDayGap: 2 })
 
   let emails = getEmailsFromSheet("SEARCH-responses", 0);
   let [allSlots, excStudents] = findAvailableSlotsForEmails(emails, 0);
@@ -0,0 +1,221 @@
+/**
+ * Match Scoring Model
+ *
+ * This file turns a leader-member pair into a match score as a weighted sum of features, so organizers
+ * can tune matchmaking from a sheet instead of editing `calculateMatchScore()`.
+ *
+ * ✅ Usage:
+ *   - Run `setupScoringWeightsSheet()` once to create the "Scoring Weights" sheet with every feature,
+ *     its default weight and a description, then edit the "Weight" column.
+ *   - `calculateMatchScore()` and `runMatchmaking()` use the model automatically; every match row gets one
+ *     "(points)" column per feature showing how much it contributed.
+ *   - To add a feature, add an entry to `getScoringFeatures()` with a default weight and a `compute` function.
+ *
+ * ⚠️ Notes:
+ *   - Features with weight 0 are not computed, so "Shared Availability" only reads the availability sheet
+ *     and "Looking For Similarity" only builds its text index when they are weighted.
+ *   - The defaults (3 / 2 / 1 for interests, leader needs and member needs, 0 for the rest) reproduce the
+ *     original weights; interests and skills are compared after taxonomy normalization (see taxonomy.js).
+ *   - The model is loaded once per execution; call `loadScoringModel()` to force a re-read.
+ */
+
+var cachedScoringModel = null;
+
+/**
+ * Returns every scoring feature. Each `compute(leader, member, columnIndices, model)` returns a raw value
+ * that is multiplied by the feature's weight.
+ *
+ * @returns {Object} - Feature keys mapped to `{ label, defaultWeight, description, compute }`.
+ */
+function getScoringFeatures() {
+  const cell = (row, columnIndices, column) =>
+    columnIndices[column] === undefined || columnIndices[column] === -1 ? '' : String(row[columnIndices[column]]).trim();
+
+  return {
+    interests: {
+      label: 'Interest Overlap', defaultWeight: 3,
+      description: 'Number of interests the leader and member share.',
+      compute: (leader, member, columnIndices) =>
+        getCommonItems(leader[columnIndices['Interests']], member[columnIndices['Interests']]).length
+    },
+    leaderNeeds: {
+      label: 'Leader Needs Met', defaultWeight: 2,
+      description: "Number of the leader's needed skills the member contributes.",
+      compute: (leader, member, columnIndices) =>
+        getCommonItems(leader[columnIndices['Skills Needed in Teammates']], member[columnIndices['Skills to Contribute']]).length
+    },
+    memberNeeds: {
+      label: 'Member Needs Met', defaultWeight: 1,
+      description: "Number of the member's needed skills the leader contributes.",
+      compute: (leader, member, columnIndices) =>
+        getCommonItems(member[columnIndices['Skills Needed in Teammates']], leader[columnIndices['Skills to Contribute']]).length
+    },
+    gradYearProximity: {
+      label: 'Graduation Year Proximity', defaultWeight: 0,
+      description: '1 for the same graduation year, down to 0 at four or more years apart.',
+      compute: (leader, member, columnIndices) => {
+        const leaderYear = parseInt(cell(leader, columnIndices, 'Graduation Year'), 10);
+        const memberYear = parseInt(cell(member, columnIndices, 'Graduation Year'), 10);
+        if (isNaN(leaderYear) || isNaN(memberYear)) return 0;
+        return Math.max(0, 1 - Math.abs(leaderYear - memberYear) / 4);
+      }
+    },
+    majorDiversity: {
+      label: 'Major Diversity', defaultWeight: 0,
+      description: '1 if the leader and member have different majors.',
+      compute: (leader, member, columnIndices) => {
+        const leaderMajor = cell(leader, columnIndices, 'Major').toLowerCase();
+        const memberMajor = cell(member, columnIndices, 'Major').toLowerCase();
+        return leaderMajor && memberMajor && leaderMajor !== memberMajor ? 1 : 0;
+      }
+    },
+    sharedAvailability: {
+      label: 'Shared Availability', defaultWeight: 0,
+      description: 'Number of weekly hour slots both are available (from the availability sheet).',
+      compute: (leader, member, columnIndices, model) =>
+        getSharedSlots(leader[columnIndices['Email']], member[columnIndices['Email']], model).length
+    },
+    lookingForSimilarity: {
+      label: 'Looking For Similarity', defaultWeight: 0,
+      description: "TF-IDF similarity (0-1) between what the leader is looking for and how the member describes themselves.",
+      compute: (leader, member, columnIndices, model) => textSimilarity(
+        leader[columnIndices['teammate_looking_for']], member[columnIndices['teammate_desribe_yourself']],
+        getTextIndex(model, columnIndices))
+    },
+    membershipTrack: {
+      label: 'Same Membership Track', defaultWeight: 0,
+      description: '1 if the leader and member are in the same eHub track (use a negative weight to mix tracks).',
+      compute: (leader, member, columnIndices) => {
+        const leaderTrack = cell(leader, columnIndices, 'Membership');
+        return leaderTrack && leaderTrack === cell(member, columnIndices, 'Membership') ? 1 : 0;
+      }
+    }
+  };
+}
+
+/**
+ * Reads the "Scoring Weights" sheet, falling back to the default weights if it does not exist.
+ *
+ * @returns {Object} - The model: `{ weights, availability, textIndex }`, where availability and textIndex are
+ *   filled in on first use.
+ * @throws {Error} - If the sheet names an unknown feature or a weight is not a number.
+ */
+function loadScoringModel() {
+  const features = getScoringFeatures();
+  const weights = {};
+  const errors = [];
+  Object.entries(features).forEach(([key, feature]) => weights[key] = feature.defaultWeight);
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Scoring Weights');
+  if (sheet) {
+    sheet.getDataRange().getValues().slice(1).forEach(([key, weight]) => {
+      key = String(key).trim();
+      if (!key) return;
+      if (!features[key]) {
+        errors.push(`unknown feature "${key}"`);
+      } else if (weight !== '' && weight !== null) {
+        const parsed = parseConfigValue(weight, 'number');
+        if (parsed.error) errors.push(`${key}: ${parsed.error}`);
+        else weights[key] = parsed.value;
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid weights in 'Scoring Weights' sheet: ${errors.join('; ')}`);
+  }
+
+  cachedScoringModel = { weights, availability: null, textIndex: null };
+  return cachedScoringModel;
+}
+
+/**
+ * Returns the scoring model for this execution, loading it on first use.
+ *
+ * @returns {Object} - The model from `loadScoringModel()`.
+ */
+function getScoringModel() {
+  return cachedScoringModel || loadScoringModel();
+}
+
+/**
+ * Scores a leader-member pair feature by feature.
+ *
+ * @param {Array} leader - A row representing the team leader's data.
+ * @param {Array} member - A row representing the team member's data.
+ * @param {Object} columnIndices - An object mapping column names to their indices.
+ * @param {Object} [model=getScoringModel()] - The scoring model.
+ * @returns {{total: number, breakdown: Object}} - The weighted total, and each feature key mapped to its
+ *   weighted contribution (0 for unweighted features).
+ */
+function scoreMatch(leader, member, columnIndices, model = getScoringModel()) {
+  const breakdown = {};
+  let total = 0;
+  Object.entries(getScoringFeatures()).forEach(([key, feature]) => {
+    const weight = model.weights[key] || 0;
+    const points = weight === 0 ? 0 : weight * feature.compute(leader, member, columnIndices, model);
+    breakdown[key] = Math.round(points * 100) / 100;
+    total += points;
+  });
+  return { total: Math.round(total * 100) / 100, breakdown };
+}
+
+/**
+ * Returns the weekly slots two students are both available. Students missing from the sheet have no slots.
+ *
+ * @param {string} emailA - The first student's email.
+ * @param {string} emailB - The second student's email.
+ * @param {Object} model - The scoring model, used to cache the availability lookup.
+ * @returns {Array<string>} - Shared slot keys (e.g., "Mon 10am-11am").
+ */
+function getSharedSlots(emailA, emailB, model) {
+  const slotsB = new Set(getStudentSlots(emailB, model));
+  return getStudentSlots(emailA, model).filter(slot => slotsB.has(slot));
+}
+
+/**
+ * Returns the weekly slots a student is available, reading the availability sheet on first use.
+ *
+ * @param {string} email - The student's email.
+ * @param {Object} model - The scoring model, used to cache the availability lookup.
+ * @returns {Array<string>} - Slot keys in day order, or an empty list if the student is not in the sheet.
+ */
+function getStudentSlots(email, model) {
+  if (!model.availability) {
+    model.availability = {};
+    try {
+      const { data, columns } = readAvailabilitySheet(["email", "days"]);
+      data.slice(1).forEach(row => {
+        const email = String(row[columns.email]).trim().toLowerCase();
+        if (email) model.availability[email] = getRowSlotKeys(row, columns);
+      });
+    } catch (error) {
+      Logger.log(`Shared availability unavailable: ${error.message}`);
+    }
+  }
+
+  return model.availability[String(email).trim().toLowerCase()] || [];
+}
+
+/**
+ * Creates the "Scoring Weights" sheet with every feature, its default weight and a description.
+ * Existing weights are kept; features missing from the sheet are appended.
+ */
+function setupScoringWeightsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Scoring Weights');
+  if (!sheet) {
+    sheet = ss.insertSheet('Scoring Weights');
+    sheet.appendRow(['Feature', 'Weight', 'Description']);
+  }
+
+  const existingKeys = sheet.getDataRange().getValues().slice(1).map(row => String(row[0]).trim());
+  const newRows = Object.entries(getScoringFeatures())
+    .filter(([key]) => !existingKeys.includes(key))
+    .map(([key, feature]) => [key, feature.defaultWeight, feature.description]);
+
+  if (newRows.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, 3).setValues(newRows);
+  }
+  Logger.log(`Scoring Weights sheet ready (${newRows.length} features added).`);
+}
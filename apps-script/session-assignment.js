@@ -0,0 +1,236 @@
+/**
+ * Assigns each student to exactly one session, respecting per-session capacity limits.
+ *
+ * Sessions are chosen from the available time slots (a fixed number of them, or as many as
+ * needed to seat everyone), then students are placed with a min-cost flow whose seat costs
+ * grow with session size, so sessions end up as evenly sized as availability allows.
+ * While a session cannot reach the minimum capacity, one session is dropped and the students re-seated:
+ * the one whose removal leaves the fewest students unassigned or in sessions still below the minimum.
+ * This is a greedy heuristic (one session at a time), so it does not guarantee the fewest unassigned students.
+ *
+ * @param {Object} slots - A dictionary of time slots to student email lists.
+ * @param {Object} [options={}] - Capacity settings.
+ * @param {number} [options.minCapacity=1] - Minimum number of students for a session to run.
+ * @param {number} [options.maxCapacity=Infinity] - Maximum number of students per session (e.g., room size).
+ * @param {number} [options.numSessions] - Optional fixed number of sessions to schedule.
+ * @param {boolean} [options.exact=false] - If true, starts from the exact minimum cover instead of the greedy one.
+ * @returns {{sessions: Object, unassigned: Array<string>}} - Sessions (time slot -> assigned emails)
+ *   and the students who could not be seated in any session.
+ */
+function assignStudentsToSessions(slots, { minCapacity = 1, maxCapacity = Infinity, numSessions, exact = false } = {}) {
+  const allStudents = [...new Set(Object.values(slots).flat())];
+  const seatLimit = Math.min(maxCapacity, allStudents.length);
+
+  let sessionKeys = numSessions
+    ? pickMaxCoverageSlots(slots, numSessions, undefined, [], seatLimit)
+    : Object.keys(exact ? getOptimalTimeSlots(slots).selectedSlots : getMinimumTimeSlots(slots));
+  let result = seatStudentsInSessions(slots, sessionKeys, allStudents, seatLimit);
+
+  // Open extra sessions while some students have no seat left (only when the count is not fixed)
+  while (!numSessions && result.unassigned.length > 0) {
+    const nextSlot = pickMaxCoverageSlots(slots, 1, result.unassigned, sessionKeys, seatLimit)[0];
+    if (!nextSlot) break;
+    sessionKeys.push(nextSlot);
+    result = seatStudentsInSessions(slots, sessionKeys, allStudents, seatLimit);
+  }
+
+  // While a session is below the minimum, drop the session whose removal strands the fewest students
+  while (sessionKeys.some(key => result.sessions[key].length < minCapacity)) {
+    let best = null;
+    sessionKeys.forEach(dropped => {
+      const keys = sessionKeys.filter(key => key !== dropped);
+      const trial = seatStudentsInSessions(slots, keys, allStudents, seatLimit);
+      const stranded = countStrandedStudents(trial, minCapacity);
+      const size = result.sessions[dropped].length;
+      if (!best || stranded < best.stranded || (stranded === best.stranded && size < best.size)) {
+        best = { keys, result: trial, stranded, size };
+      }
+    });
+    sessionKeys = best.keys;
+    result = best.result;
+  }
+
+  return result;
+}
+
+/**
+ * Counts the students an assignment leaves without a session that can run: the unassigned ones and
+ * those seated in sessions below the minimum capacity.
+ *
+ * @param {{sessions: Object, unassigned: Array<string>}} result - The result of `seatStudentsInSessions()`.
+ * @param {number} minCapacity - Minimum number of students for a session to run.
+ * @returns {number} - The number of stranded students.
+ */
+function countStrandedStudents(result, minCapacity) {
+  return Object.values(result.sessions).reduce((stranded, emails) =>
+    stranded + (emails.length < minCapacity ? emails.length : 0), result.unassigned.length);
+}
+
+/**
+ * Picks the time slots that together seat the most students, one slot at a time. Each picked slot is
+ * estimated to seat up to `seatLimit` of the students it reaches who have no seat yet; the rest stay
+ * unseated, so the next slot is ranked by how many of those overflow students it can take. Once every
+ * student has an estimated seat, the remaining slots (up to `count`) are picked by how many students
+ * they reach, so a fixed session count is always filled when there are enough slots.
+ *
+ * @param {Object} slots - A dictionary of time slots to student email lists.
+ * @param {number} count - Maximum number of slots to pick.
+ * @param {Array<string>} [targetStudents] - Students to count coverage for (defaults to everyone).
+ * @param {Array<string>} [excludedSlots=[]] - Slots that must not be picked.
+ * @param {number} [seatLimit=Infinity] - Maximum number of students per session.
+ * @returns {Array<string>} - The picked time slot keys, in the order they were picked.
+ */
+function pickMaxCoverageSlots(slots, count, targetStudents, excludedSlots = [], seatLimit = Infinity) {
+  const unseated = new Set(targetStudents || Object.values(slots).flat());
+  const picked = [];
+
+  while (picked.length < count) {
+    let bestKey = null;
+    let bestSeats = -1;
+    let bestReach = -1;
+    Object.entries(slots).forEach(([key, emails]) => {
+      if (picked.includes(key) || excludedSlots.includes(key)) return;
+      const seats = Math.min(seatLimit, emails.filter(email => unseated.has(email)).length);
+      if (seats > bestSeats || (seats === bestSeats && emails.length > bestReach)) {
+        bestKey = key;
+        bestSeats = seats;
+        bestReach = emails.length;
+      }
+    });
+    // Stop when no slot is left, or when no slot reaches a student who still needs a seat
+    if (!bestKey || (bestSeats === 0 && unseated.size > 0)) break;
+    picked.push(bestKey);
+    slots[bestKey].filter(email => unseated.has(email)).slice(0, seatLimit).forEach(email => unseated.delete(email));
+  }
+
+  return picked;
+}
+
+/**
+ * Seats students into the given sessions with a min-cost flow. The k-th seat of a session costs k,
+ * which makes the solver prefer filling smaller sessions first.
+ *
+ * @param {Object} slots - A dictionary of time slots to student email lists.
+ * @param {Array<string>} sessionKeys - The time slots that will run as sessions.
+ * @param {Array<string>} students - All students to seat.
+ * @param {number} seatLimit - Maximum number of students per session.
+ * @returns {{sessions: Object, unassigned: Array<string>}} - Assigned emails per session and unseated students.
+ */
+function seatStudentsInSessions(slots, sessionKeys, students, seatLimit) {
+  // Nodes: source, students, sessions, sink
+  const source = 0;
+  const sink = students.length + sessionKeys.length + 1;
+  const network = createFlowNetwork(sink + 1);
+  const studentNode = index => 1 + index;
+  const sessionNode = index => 1 + students.length + index;
+
+  const choiceEdges = [];
+  students.forEach((email, i) => {
+    addFlowEdge(network, source, studentNode(i), 1);
+    sessionKeys.forEach((key, j) => {
+      if (slots[key].includes(email)) {
+        choiceEdges.push({ email, key, edge: addFlowEdge(network, studentNode(i), sessionNode(j), 1) });
+      }
+    });
+  });
+
+  sessionKeys.forEach((_, j) => {
+    for (let seat = 1; seat <= seatLimit; seat++) {
+      addFlowEdge(network, sessionNode(j), sink, 1, seat);
+    }
+  });
+
+  minCostMaxFlow(network, source, sink);
+
+  const sessions = {};
+  sessionKeys.forEach(key => sessions[key] = []);
+  const seated = new Set();
+  choiceEdges.forEach(({ email, key, edge }) => {
+    if (getEdgeFlow(network, edge) > 0) {
+      sessions[key].push(email);
+      seated.add(email);
+    }
+  });
+
+  return { sessions, unassigned: students.filter(email => !seated.has(email)) };
+}
+
+/**
+ * Writes one row per student under their assigned session, so each student appears exactly once.
+ *
+ * @param {Object} params - Object of named parameters.
+ * @param {Object} params.sessions - Dictionary of time slots to assigned student emails.
+ * @param {string} params.sheetName - Name of the sheet to write to (created or cleared if exists).
+ * @param {Array<string>} [params.unassignedStudents=[]] - Students with availability who could not be seated.
+ * @param {Array<string>} [params.excludedStudents=[]] - Students excluded before assignment (e.g., below threshold).
+ */
+function writeSessionAssignmentsToSheet({ sessions, sheetName, unassignedStudents = [], excludedStudents = [] }) {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var sheet = ss.getSheetByName(sheetName) || ss.insertSheet(sheetName);
+
+  // Clear the sheet to start fresh
+  sheet.clear();
+
+  const headers = ['Time Slot', 'Student Email', 'Session Size', 'Unassigned Students', 'Excluded Students'];
+  sheet.appendRow(headers);
+
+  // Largest sessions first, one row per assigned student
+  const rows = [];
+  Object.entries(sessions)
+    .sort((a, b) => b[1].length - a[1].length)
+    .forEach(([timeSlot, emails]) => {
+      emails.forEach(email => rows.push([timeSlot, email, emails.length]));
+    });
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, 3).setValues(rows);
+  }
+
+  sheet.getRange("D2").setValue(unassignedStudents.join(', '));
+  sheet.getRange("E2").setValue(excludedStudents.join(', '));
+
+  Logger.log('Session assignments written to sheet ' + sheetName);
+}
+
+/**
+ * Assigns students in a track to capacity-limited sessions and writes the result to a sheet.
+ *
+ * @param {string} track - Track name to filter students by.
+ * @param {number} thresh - Minimum number of students per time slot before assignment.
+ * @param {string} outputSheetName - Name of the sheet to write results to.
+ * @param {Object} [options={}] - Capacity settings (see `assignStudentsToSessions()`), plus an optional
+ *   `durationMinutes` for sessions longer than one form slot.
+ */
+function processAssignmentByTrack(track, thresh, outputSheetName, options = {}) {
+  const emails = getEmailsByTrack(track);
+  const [allSlots, excStudents] = findAvailableSlotsForEmails(emails, thresh, options.durationMinutes);
+  const { sessions, unassigned } = assignStudentsToSessions(allSlots, options);
+  writeSessionAssignmentsToSheet({
+    sessions: sessions,
+    sheetName: outputSheetName,
+    unassignedStudents: unassigned,
+    excludedStudents: excStudents
+  });
+}
+
+/**
+ * Assigns students from a custom list of emails to capacity-limited sessions and writes the result to a sheet.
+ *
+ * @param {string} sheetName - Name of the sheet containing student emails.
+ * @param {number} columnIndex - Index of the column with email addresses.
+ * @param {number} thresh - Minimum number of students per time slot before assignment.
+ * @param {string} outputSheetName - Name of the sheet to write results to.
+ * @param {Object} [options={}] - Capacity settings (see `assignStudentsToSessions()`), plus an optional
+ *   `durationMinutes` for sessions longer than one form slot.
+ */
+function processAssignmentBySheet(sheetName, columnIndex, thresh, outputSheetName, options = {}) {
+  const emails = getEmailsFromSheet(sheetName, columnIndex);
+  const [allSlots, excStudents] = findAvailableSlotsForEmails(emails, thresh, options.durationMinutes);
+  const { sessions, unassigned } = assignStudentsToSessions(allSlots, options);
+  writeSessionAssignmentsToSheet({
+    sessions: sessions,
+    sheetName: outputSheetName,
+    unassignedStudents: unassigned,
+    excludedStudents: excStudents
+  });
+}
@@ -4,6 +4,13 @@
 function onOpen() {
   let menu = SpreadsheetApp.getUi().createMenu('Activities')
       .addItem('Find Available Students', 'showSidebar')
+      .addItem('Set Up Config Sheet', 'setupConfigSheet')
+      .addItem('Set Up Scoring Weights', 'setupScoringWeightsSheet')
+      .addItem('Report Unmapped Terms', 'writeUnmappedTermsReport')
+      .addItem('Generate Match Docs', 'startDocGenerationJob')
+      .addItem('Preview Match Emails', 'previewMatchEmails')
+      .addItem('Send Match Emails', 'sendMatchEmails')
+      .addItem('Create Match Packet', 'createMatchPacket')
       .addToUi();
 }
 
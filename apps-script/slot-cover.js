@@ -0,0 +1,165 @@
+/**
+ * Exact Time-Slot Cover
+ *
+ * This file implements an exact minimum set-cover solver for time slots. Given a dictionary
+ * of time slots to student emails (as returned by `findAvailableSlotsForEmails()`), it finds
+ * the smallest set of slots such that every student is available for at least one of them.
+ *
+ * ✅ Usage:
+ *   - Call `getOptimalTimeSlots(filteredSlots, timeBudgetMs)` in place of `getMinimumTimeSlots()`.
+ *   - The result contains `selectedSlots` (same shape as `getMinimumTimeSlots()`) and a `report`
+ *     comparing the greedy answer with the exact one.
+ *   - `logCoverReport()` appends that comparison to the "Cover Report" sheet.
+ *
+ * ⚠️ Notes:
+ *   - The solver is a branch-and-bound search seeded with the greedy answer, so it can only
+ *     ever return the same number of slots or fewer.
+ *   - If the time budget runs out, the best cover found so far is returned and the report
+ *     marks the result as not proven optimal.
+ *   - Slots whose students are a subset of another slot's students are never needed for a
+ *     minimum cover and are dropped before searching.
+ */
+
+/**
+ * Finds the smallest set of time slots covering every student at least once.
+ * Falls back to the greedy answer from `getMinimumTimeSlots()` if the budget runs out first.
+ *
+ * @param {Object} filteredSlots - A dictionary of time slots to student email lists.
+ * @param {number} [timeBudgetMs=20000] - Maximum time to spend searching, in milliseconds.
+ * @returns {{selectedSlots: Object, report: Object}} - The selected slots (time slot -> emails) and a
+ *   report with `numStudents`, `greedyCount`, `exactCount`, `sessionsSaved`, `provenOptimal` and `elapsedMs`.
+ */
+function getOptimalTimeSlots(filteredSlots, timeBudgetMs = 20000) {
+  const startTime = Date.now();
+  const greedySlots = getMinimumTimeSlots(filteredSlots);
+  const greedyKeys = Object.keys(greedySlots);
+
+  // Index students so coverage can be tracked with plain arrays
+  const students = [...new Set(Object.values(filteredSlots).flat())];
+  const studentIds = {};
+  students.forEach((email, i) => studentIds[email] = i);
+
+  const candidates = removeDominatedSlots(
+    Object.entries(filteredSlots).map(([key, emails]) => ({
+      key,
+      members: [...new Set(emails.map(email => studentIds[email]))]
+    }))
+  );
+
+  // Slots able to cover each student, largest first so good branches are explored early
+  const coveringSlots = students.map(() => []);
+  candidates.forEach((slot, slotIndex) => {
+    slot.members.forEach(id => coveringSlots[id].push(slotIndex));
+  });
+  coveringSlots.forEach(list => list.sort((a, b) => candidates[b].members.length - candidates[a].members.length));
+
+  const coverCount = new Array(students.length).fill(0);
+  const chosen = [];
+  let best = greedyKeys.slice();
+  let timedOut = false;
+  let numUncovered = students.length;
+
+  const search = () => {
+    if (Date.now() - startTime > timeBudgetMs) {
+      timedOut = true;
+      return;
+    }
+    if (numUncovered === 0) {
+      if (chosen.length < best.length) best = chosen.map(i => candidates[i].key);
+      return;
+    }
+
+    // Lower bound: remaining students divided by the largest possible new coverage of one slot
+    let maxNewCoverage = 0;
+    candidates.forEach(slot => {
+      const newCoverage = slot.members.filter(id => coverCount[id] === 0).length;
+      if (newCoverage > maxNewCoverage) maxNewCoverage = newCoverage;
+    });
+    if (maxNewCoverage === 0) return;
+    if (chosen.length + Math.ceil(numUncovered / maxNewCoverage) >= best.length) return;
+
+    // Branch on the uncovered student with the fewest slot options
+    let branchStudent = -1;
+    for (let id = 0; id < students.length; id++) {
+      if (coverCount[id] > 0) continue;
+      if (branchStudent === -1 || coveringSlots[id].length < coveringSlots[branchStudent].length) {
+        branchStudent = id;
+      }
+    }
+
+    for (const slotIndex of coveringSlots[branchStudent]) {
+      chosen.push(slotIndex);
+      candidates[slotIndex].members.forEach(id => {
+        if (coverCount[id]++ === 0) numUncovered--;
+      });
+
+      search();
+
+      candidates[slotIndex].members.forEach(id => {
+        if (--coverCount[id] === 0) numUncovered++;
+      });
+      chosen.pop();
+      if (timedOut) return;
+    }
+  };
+
+  search();
+
+  const selectedSlots = {};
+  best.forEach(key => selectedSlots[key] = filteredSlots[key]);
+
+  const report = {
+    numStudents: students.length,
+    greedyCount: greedyKeys.length,
+    exactCount: best.length,
+    sessionsSaved: greedyKeys.length - best.length,
+    provenOptimal: !timedOut,
+    elapsedMs: Date.now() - startTime
+  };
+
+  Logger.log(`Greedy cover: ${report.greedyCount} slots, exact cover: ${report.exactCount} slots ` +
+             `(${report.provenOptimal ? 'proven optimal' : 'time budget reached'}, ${report.elapsedMs} ms)`);
+
+  return { selectedSlots, report };
+}
+
+/**
+ * Removes slots whose students are all covered by another single slot.
+ * Among slots with identical student sets, the first one is kept.
+ *
+ * @param {Array<Object>} slots - Slots of the form `{ key, members }`, where members are student ids.
+ * @returns {Array<Object>} - The slots that are not dominated by any other slot.
+ */
+function removeDominatedSlots(slots) {
+  const memberSets = slots.map(slot => new Set(slot.members));
+  return slots.filter((slot, i) => {
+    return !slots.some((other, j) => {
+      if (i === j || other.members.length < slot.members.length) return false;
+      if (other.members.length === slot.members.length && j > i) return false;
+      return slot.members.every(id => memberSets[j].has(id));
+    });
+  });
+}
+
+/**
+ * Appends a greedy vs. exact comparison to the "Cover Report" sheet so organizers can see
+ * how many sessions (rooms and facilitators) the exact solver saved.
+ *
+ * @param {string} scheduleName - Name of the schedule the report belongs to (e.g., the output sheet name).
+ * @param {Object} report - The report returned by `getOptimalTimeSlots()`.
+ */
+function logCoverReport(scheduleName, report) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let reportSheet = ss.getSheetByName("Cover Report");
+
+  if (!reportSheet) {
+    reportSheet = ss.insertSheet("Cover Report");
+    reportSheet.appendRow(["Date", "Schedule", "Num Students", "Greedy Sessions", "Exact Sessions",
+                           "Sessions Saved", "Proven Optimal", "Elapsed (ms)"]);
+  }
+
+  reportSheet.appendRow([
+    new Date().toLocaleString(), scheduleName, report.numStudents, report.greedyCount,
+    report.exactCount, report.sessionsSaved, report.provenOptimal ? "Yes" : "No", report.elapsedMs
+  ]);
+}
@@ -0,0 +1,90 @@
+/**
+ * Stable Matching Between Team Leaders and Members
+ *
+ * This file pairs leaders and members with a many-to-many version of the Gale–Shapley (deferred acceptance)
+ * algorithm. Unlike the top-5 mode, where the most attractive members appear in every leader's doc,
+ * each leader gets at most `leaderQuota` members and each member appears in at most `memberCap` leaders'
+ * lists, and no leader and member would both rather be matched to each other than to someone they got.
+ *
+ * ✅ Usage:
+ *   - Set `matchmakingAlgorithm` to "stable" in the "Config" sheet (and tune `leaderMatchQuota` and
+ *     `memberMatchCap`), then run `runMatchmaking()`.
+ *   - Or call `runMatchmaking({ algorithm: "stable", leaderQuota: 4, memberCap: 2 })` directly.
+ *
+ * ⚠️ Notes:
+ *   - Leaders rank members by `calculateMatchScore(leader, member)`; members rank leaders by
+ *     `calculateMatchScore(member, leader)`, which weighs the member's own skill needs more heavily.
+ *     Ties are broken by email so results are repeatable.
+ *   - Members propose, so the result is the best stable matching from the members' side.
+ *   - Leaders can end up with fewer than `leaderQuota` members when the pool is small.
+ */
+
+/**
+ * Matches members to leaders with member-proposing deferred acceptance.
+ *
+ * @param {Array<Array>} leaders - Leader rows (from `separateLeadersAndMembers()`).
+ * @param {Array<Array>} members - Member rows.
+ * @param {Object} columnIndices - An object mapping column names to their indices (output from validateSheet()).
+ * @param {Object} [options={}] - Matching settings.
+ * @param {number} [options.leaderQuota=5] - Maximum members per leader.
+ * @param {Object} [options.leaderQuotas={}] - Leader emails mapped to their own quota, overriding `leaderQuota`.
+ * @param {number} [options.memberCap=2] - Maximum number of leaders each member is matched with.
+ * @param {number} [options.minScore=0] - Pairs scoring below this (from either side) are never matched.
+ * @param {Function} [options.isEligible] - `(leader, member) => boolean`; pairs it rejects are never matched.
+ * @returns {Array<Object>} - Pairs of the form `{ leader, member, score }` (score is the leader's view),
+ *   grouped by leader in input order and sorted by score within each leader.
+ */
+function findStableMatches(leaders, members, columnIndices, { leaderQuota = 5, leaderQuotas = {}, memberCap = 2, minScore = 0, isEligible = () => true } = {}) {
+  const emailIndex = columnIndices['Email'];
+  const byScoreThenEmail = (a, b) => b.score - a.score || String(a.email).localeCompare(String(b.email));
+
+  // leaderScores[l][m]: how leader l rates member m
+  const leaderScores = leaders.map(leader => members.map(member => calculateMatchScore(leader, member, columnIndices)));
+
+  // Each member's leaders in order of preference, acceptable pairs only
+  const preferences = members.map((member, m) => leaders
+    .map((leader, l) => ({ l, email: leader[emailIndex], score: calculateMatchScore(member, leader, columnIndices) }))
+    .filter(({ l, score }) => score >= minScore && leaderScores[l][m] >= minScore && isEligible(leaders[l], member))
+    .sort(byScoreThenEmail)
+    .map(({ l }) => l));
+
+  const quotas = leaders.map(leader => {
+    const quota = leaderQuotas[leader[emailIndex]];
+    return quota === undefined ? leaderQuota : quota;
+  });
+  const held = leaders.map(() => []);    // Members each leader currently holds
+  const accepted = members.map(() => 0); // Leaders currently holding each member
+  const nextChoice = members.map(() => 0);
+
+  // Members with free capacity and leaders left to propose to
+  const queue = members.map((_, m) => m);
+  while (queue.length > 0) {
+    const m = queue.shift();
+    while (accepted[m] < memberCap && nextChoice[m] < preferences[m].length) {
+      const l = preferences[m][nextChoice[m]++];
+      if (quotas[l] <= 0) continue;
+
+      held[l].push(m);
+      accepted[m]++;
+      if (held[l].length > quotas[l]) {
+        // The leader rejects their least preferred held member, who proposes again
+        held[l].sort((a, b) => byScoreThenEmail(
+          { score: leaderScores[l][a], email: members[a][emailIndex] },
+          { score: leaderScores[l][b], email: members[b][emailIndex] }
+        ));
+        const rejected = held[l].pop();
+        accepted[rejected]--;
+        if (rejected !== m) queue.push(rejected);
+      }
+    }
+  }
+
+  const pairs = [];
+  leaders.forEach((leader, l) => {
+    held[l]
+      .map(m => ({ leader, member: members[m], score: leaderScores[l][m] }))
+      .sort((a, b) => b.score - a.score)
+      .forEach(pair => pairs.push(pair));
+  });
+  return pairs;
+}
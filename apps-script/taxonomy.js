@@ -0,0 +1,213 @@
+/**
+ * Interest and Skill Taxonomy
+ *
+ * This file maps the free-text interests and skills students type ("AI/ML", "ai & machine learning",
+ * " Software ") onto canonical terms, so matchmaking and the sidebar filters compare meanings instead of
+ * exact strings.
+ *
+ * ✅ Usage:
+ *   - `canonicalizeList("AI/ML; software ")` returns `["AI & Machine Learning", "Software"]`.
+ *   - Add or extend terms in a "Taxonomy" sheet with columns "Canonical Term" and "Synonyms"
+ *     (comma-separated). Rows for an existing term add synonyms; new terms are added to the defaults.
+ *   - Run `writeUnmappedTermsReport()` (or Activities > Report Unmapped Terms) to list values that matched
+ *     no term, with how often they occur, so the synonym list can grow.
+ *
+ * ⚠️ Notes:
+ *   - Matching ignores case, spacing and punctuation, and treats "&", "+" and "and" the same.
+ *   - Unmapped values are kept (trimmed) rather than dropped, so two students typing the same new term
+ *     still match each other.
+ *   - The taxonomy is loaded once per execution; call `loadTaxonomy()` to force a re-read.
+ */
+
+var cachedTaxonomy = null;
+
+/**
+ * Returns the built-in canonical terms and their synonyms. Interests follow the sidebar's list.
+ * Only unambiguous aliases are built in: interests and skills share one namespace, so a broad word like
+ * "data" or "health" would pull unrelated answers together. Add such mappings in the "Taxonomy" sheet.
+ *
+ * @returns {Object} - Canonical terms mapped to arrays of synonyms.
+ */
+function getDefaultTaxonomy() {
+  return {
+    // Interests
+    "Aerospace": ["aerospace engineering"],
+    "Agriculture": ["agtech", "ag tech"],
+    "AI & Machine Learning": ["ai", "ml", "ai/ml", "ai & ml", "artificial intelligence", "machine learning"],
+    "Climate Tech": ["cleantech", "clean tech", "climatetech"],
+    "Crypto & Blockchain": ["crypto", "blockchain", "web3"],
+    "Digital Health": ["health tech", "healthtech"],
+    "Education": ["edtech", "ed tech"],
+    "Entertainment": [],
+    "Fashion": [],
+    "Finance": ["fintech", "fin tech"],
+    "Food + Beverage": ["food & bev", "food and beverage", "f&b"],
+    "Hardware": [],
+    "Healthcare": ["medtech", "med tech"],
+    "Hospitality": [],
+    "Manufacturing": [],
+    "Media": [],
+    "Retail": ["e-commerce", "ecommerce"],
+    "Social Justice": [],
+    "Software": ["saas"],
+    "Something Not Listed": [],
+    "Still Figuring It Out": ["not sure", "undecided"],
+    "Transportation": [],
+    // Skills
+    "Software Engineering": ["coding", "programming", "software development", "full stack", "full-stack development"],
+    "Design": ["ui/ux", "ux/ui", "ui/ux design"],
+    "Marketing": [],
+    "Sales": ["business development", "bizdev", "biz dev"],
+    "Data Science": ["data analysis", "data analytics"],
+    "Product Management": ["pm", "product manager"],
+    "Accounting": ["bookkeeping"],
+    "Operations": ["ops"],
+    "Legal": []
+  };
+}
+
+/**
+ * Reduces a term to a comparison key: lowercase, "&"/"+" read as "and", punctuation and extra spaces removed.
+ *
+ * @param {string} term - The raw term.
+ * @returns {string} - The comparison key (e.g., "AI & Machine Learning" -> "ai and machine learning").
+ */
+function normalizeTerm(term) {
+  return String(term)
+    .toLowerCase()
+    .replace(/[&+]/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Builds the synonym lookup from the defaults and the optional "Taxonomy" sheet, caching it for the
+ * rest of the execution.
+ *
+ * @returns {Object} - `{ terms, lookup }`: canonical terms mapped to synonyms, and comparison keys mapped
+ *   to canonical terms.
+ */
+function loadTaxonomy() {
+  const terms = getDefaultTaxonomy();
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Taxonomy");
+  if (sheet) {
+    sheet.getDataRange().getValues().slice(1).forEach(([canonical, synonyms]) => {
+      canonical = String(canonical).trim();
+      if (!canonical) return;
+      const existing = Object.keys(terms).find(term => normalizeTerm(term) === normalizeTerm(canonical));
+      const key = existing || canonical;
+      terms[key] = (terms[key] || []).concat(String(synonyms).split(",").map(s => s.trim()).filter(s => s));
+    });
+  }
+
+  const lookup = {};
+  Object.entries(terms).forEach(([canonical, synonyms]) => {
+    [canonical, ...synonyms].forEach(term => lookup[normalizeTerm(term)] = canonical);
+  });
+
+  cachedTaxonomy = { terms, lookup };
+  return cachedTaxonomy;
+}
+
+/**
+ * Returns the taxonomy for this execution, loading it on first use.
+ *
+ * @returns {Object} - The taxonomy from `loadTaxonomy()`.
+ */
+function getTaxonomy() {
+  return cachedTaxonomy || loadTaxonomy();
+}
+
+/**
+ * Maps a single term onto its canonical form.
+ *
+ * @param {string} term - The raw term.
+ * @param {Object} [taxonomy=getTaxonomy()] - The taxonomy to use.
+ * @returns {{label: string, key: string, mapped: boolean}} - The canonical term (or the trimmed input if
+ *   unmapped), its comparison key, and whether it matched the taxonomy.
+ */
+function canonicalizeTerm(term, taxonomy = getTaxonomy()) {
+  const key = normalizeTerm(term);
+  const canonical = taxonomy.lookup[key];
+  return canonical
+    ? { label: canonical, key: normalizeTerm(canonical), mapped: true }
+    : { label: String(term).trim().replace(/\s+/g, " "), key, mapped: false };
+}
+
+/**
+ * Splits a semicolon-separated list and maps each item onto its canonical form, dropping blanks and duplicates.
+ *
+ * @param {string} list - A semicolon-separated string (e.g., "AI/ML; software").
+ * @param {Object} [taxonomy=getTaxonomy()] - The taxonomy to use.
+ * @returns {Array<string>} - Canonical terms in input order.
+ */
+function canonicalizeList(list, taxonomy = getTaxonomy()) {
+  const seen = new Set();
+  const result = [];
+  String(list || "").split(";").forEach(item => {
+    if (!item.trim()) return;
+    const { label, key } = canonicalizeTerm(item, taxonomy);
+    if (seen.has(key)) return;
+    seen.add(key);
+    result.push(label);
+  });
+  return result;
+}
+
+/**
+ * Counts the values in some semicolon-separated cells that match no taxonomy term.
+ *
+ * @param {Array<string>} cells - Cell values to scan.
+ * @param {Object} [taxonomy=getTaxonomy()] - The taxonomy to use.
+ * @returns {Array<{term: string, count: number}>} - Unmapped terms, most frequent first.
+ */
+function findUnmappedTerms(cells, taxonomy = getTaxonomy()) {
+  const counts = {};
+  cells.forEach(cell => {
+    String(cell || "").split(";").forEach(item => {
+      if (!item.trim()) return;
+      const { label, key, mapped } = canonicalizeTerm(item, taxonomy);
+      if (mapped) return;
+      counts[key] = counts[key] || { term: label, count: 0 };
+      counts[key].count++;
+    });
+  });
+  return Object.values(counts).sort((a, b) => b.count - a.count || a.term.localeCompare(b.term));
+}
+
+/**
+ * Writes every unmapped interest and skill in the matchmaking and interest sheets to a report sheet,
+ * so organizers can add them to the "Taxonomy" sheet.
+ *
+ * @param {string} [sheetName="Unmapped Terms"] - Name of the sheet to write to (created or cleared if exists).
+ */
+function writeUnmappedTermsReport(sheetName = "Unmapped Terms") {
+  const config = getConfig();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sources = [
+    [config[getMatchmakingSheetKey(config)], ["Interests", "Skills Needed in Teammates", "Skills to Contribute"]],
+    [config.interestSheet, ["Interests"]]
+  ];
+
+  const rows = [["Term", "Source Sheet", "Column", "Count"]];
+  sources.forEach(([source, headers]) => {
+    const sheet = ss.getSheetByName(source);
+    if (!sheet) {
+      Logger.log(`Sheet '${source}' not found. Skipping it in the unmapped terms report.`);
+      return;
+    }
+    const data = sheet.getDataRange().getValues();
+    headers.forEach(header => {
+      const index = data[0].indexOf(header);
+      if (index === -1) return;
+      findUnmappedTerms(data.slice(1).map(row => row[index]))
+        .forEach(({ term, count }) => rows.push([term, source, header, count]));
+    });
+  });
+
+  const sheet = ss.getSheetByName(sheetName) || ss.insertSheet(sheetName);
+  sheet.clear();
+  sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+  Logger.log(`${rows.length - 1} unmapped terms written to sheet ${sheetName}`);
+}
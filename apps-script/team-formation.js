@@ -0,0 +1,155 @@
+/**
+ * Team Formation
+ *
+ * This file builds full teams (a leader plus several members) instead of pairwise matches. Members are
+ * assigned so each team covers as many of its leader's "Skills Needed in Teammates" as possible, each
+ * member fills a role no one else on the team already covers, and team sizes stay within bounds.
+ *
+ * ✅ Usage:
+ *   - Set `minTeamSize` and `maxTeamSize` in the "Config" sheet (team size includes the leader), then run
+ *     `runTeamFormation()`. Teams are written to the "Teams" sheet.
+ *   - Or call `runTeamFormation({ minTeamSize: 3, maxTeamSize: 4 })` directly.
+ *
+ * ⚠️ Notes:
+ *   - Skills are compared by canonical taxonomy term (see taxonomy.js).
+ *   - Each member joins at most one team. Members are first placed where they cover the most uncovered
+ *     skills (ties go to the higher match score); teams still below `minTeamSize` are then filled with
+ *     the best-scoring remaining members. This is a greedy heuristic, not a proven optimum.
+ *   - The `minAvailabilityOverlap` filter from matchmaking applies here too, and pairs declined or members
+ *     teamed in the "Match Feedback" sheet are excluded.
+ */
+
+/**
+ * Assigns members to leaders' teams, maximizing coverage of each leader's needed skills.
+ *
+ * @param {Array<Array>} leaders - Leader rows (from `separateLeadersAndMembers()`).
+ * @param {Array<Array>} members - Member rows.
+ * @param {Object} columnIndices - An object mapping column names to their indices (output from validateSheet()).
+ * @param {Object} [options={}] - Team settings.
+ * @param {number} [options.minTeamSize=3] - Minimum team size, including the leader.
+ * @param {number} [options.maxTeamSize=5] - Maximum team size, including the leader.
+ * @param {Function} [options.isEligible] - `(leader, member) => boolean`; pairs it rejects are never teamed.
+ * @returns {{teams: Array<Object>, unassigned: Array<Array>}} - Teams of the form
+ *   `{ leader, members: [{ member, role, score }], neededSkills, coveredSkills, uncoveredSkills }`,
+ *   and the member rows that joined no team.
+ */
+function formTeams(leaders, members, columnIndices, { minTeamSize = 3, maxTeamSize = 5, isEligible = () => true } = {}) {
+  if (minTeamSize > maxTeamSize) {
+    throw new Error(`minTeamSize (${minTeamSize}) cannot be larger than maxTeamSize (${maxTeamSize}).`);
+  }
+
+  const contributions = members.map(member => canonicalizeList(member[columnIndices['Skills to Contribute']]));
+  const teams = leaders.map(leader => {
+    const neededSkills = canonicalizeList(leader[columnIndices['Skills Needed in Teammates']]);
+    return { leader, members: [], neededSkills, coveredSkills: [], uncoveredSkills: neededSkills.slice() };
+  });
+  const scores = leaders.map(leader => members.map(member =>
+    isEligible(leader, member) ? calculateMatchScore(leader, member, columnIndices) : null));
+  const assigned = new Set();
+  const hasRoom = team => team.members.length < maxTeamSize - 1;
+
+  // Coverage phase: repeatedly place the member who covers the most uncovered skills on some team
+  while (true) {
+    let best = null;
+    teams.forEach((team, t) => {
+      if (!hasRoom(team)) return;
+      members.forEach((_, m) => {
+        if (assigned.has(m) || scores[t][m] === null) return;
+        const newSkills = contributions[m].filter(skill => team.uncoveredSkills.includes(skill));
+        if (newSkills.length === 0) return;
+        if (!best || newSkills.length > best.newSkills.length ||
+            (newSkills.length === best.newSkills.length && scores[t][m] > best.score)) {
+          best = { t, m, newSkills, score: scores[t][m] };
+        }
+      });
+    });
+    if (!best) break;
+
+    const team = teams[best.t];
+    team.members.push({ member: members[best.m], role: best.newSkills.join('; '), score: best.score });
+    team.coveredSkills.push(...best.newSkills);
+    team.uncoveredSkills = team.uncoveredSkills.filter(skill => !best.newSkills.includes(skill));
+    assigned.add(best.m);
+  }
+
+  // Fill phase: bring small teams up to the minimum with the best-scoring remaining members
+  teams.forEach((team, t) => {
+    const candidates = members
+      .map((_, m) => m)
+      .filter(m => !assigned.has(m) && scores[t][m] !== null)
+      .sort((a, b) => scores[t][b] - scores[t][a]);
+    while (team.members.length < minTeamSize - 1 && candidates.length > 0) {
+      const m = candidates.shift();
+      if (assigned.has(m)) continue;
+      team.members.push({ member: members[m], role: '', score: scores[t][m] });
+      assigned.add(m);
+    }
+  });
+
+  return { teams, unassigned: members.filter((_, m) => !assigned.has(m)) };
+}
+
+/**
+ * Writes teams to a sheet with their skill coverage, one row per team.
+ *
+ * @param {Object} params - Object of named parameters.
+ * @param {Array<Object>} params.teams - Teams from `formTeams()`.
+ * @param {Array<Array>} params.unassigned - Member rows that joined no team.
+ * @param {Object} params.columnIndices - An object mapping column names to their indices.
+ * @param {number} params.minTeamSize - Minimum team size, including the leader.
+ * @param {number} params.maxTeamSize - Maximum team size, including the leader.
+ * @param {string} [params.sheetName="Teams"] - Name of the sheet to write to (created or cleared if exists).
+ */
+function writeTeamsToSheet({ teams, unassigned, columnIndices, minTeamSize, maxTeamSize, sheetName = 'Teams' }) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(sheetName) || ss.insertSheet(sheetName);
+  sheet.clear();
+
+  const emailIndex = columnIndices['Email'];
+  const rows = [['Team Leader Email', 'Team Members', 'Roles', 'Team Size', 'Skills Needed', 'Covered Skills',
+                 'Uncovered Skills', 'Coverage %', 'Within Size Bounds', 'Unassigned Members']];
+  teams.forEach(({ leader, members, neededSkills, coveredSkills, uncoveredSkills }) => {
+    const size = members.length + 1;
+    const coverage = neededSkills.length ? Math.round(coveredSkills.length / neededSkills.length * 100) : 100;
+    rows.push([
+      leader[emailIndex],
+      members.map(({ member }) => member[emailIndex]).join(', '),
+      members.map(({ member, role }) => `${member[emailIndex]}: ${role || 'Additional member'}`).join('\n'),
+      size, neededSkills.join('; '), coveredSkills.join('; '), uncoveredSkills.join('; '), coverage,
+      size >= minTeamSize && size <= maxTeamSize ? 'Yes' : 'No', ''
+    ]);
+  });
+  if (rows.length > 1) rows[1][9] = unassigned.map(member => member[emailIndex]).join(', ');
+  sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+
+  Logger.log(`${teams.length} teams written to sheet ${sheetName} (${unassigned.length} members unassigned)`);
+}
+
+/**
+ * Runs team formation on the matchmaking sheet and writes the result to the "Teams" sheet.
+ *
+ * @param {Object} [options={}] - Optional overrides of the config: `minTeamSize`, `maxTeamSize` and
+ *   `minAvailabilityOverlap`.
+ */
+function runTeamFormation(options = {}) {
+  const config = getConfig();
+  const sheetKey = getMatchmakingSheetKey(config);
+  assertConfiguredSheetsExist(config, [sheetKey]);
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(config[sheetKey]);
+  const columnIndices = validateSheet(sheet);
+  if (!columnIndices) {
+    Logger.log('Sheet validation failed. Please check column names.');
+    return;
+  }
+
+  const feedback = readMatchFeedback();
+  const { leaders, members: allMembers } = separateLeadersAndMembers(sheet.getDataRange().getValues().slice(1), columnIndices);
+  const members = allMembers.filter(member => !feedback.teamedMembers.has(String(member[columnIndices['Email']]).trim().toLowerCase()));
+  const minTeamSize = options.minTeamSize || config.minTeamSize;
+  const maxTeamSize = options.maxTeamSize || config.maxTeamSize;
+  const isEligible = buildEligibilityFilter(columnIndices,
+    options.minAvailabilityOverlap !== undefined ? options.minAvailabilityOverlap : config.minAvailabilityOverlap, feedback);
+
+  const { teams, unassigned } = formTeams(leaders, members, columnIndices, { minTeamSize, maxTeamSize, isEligible });
+  writeTeamsToSheet({ teams, unassigned, columnIndices, minTeamSize, maxTeamSize });
+}
@@ -0,0 +1,133 @@
+/**
+ * Text Similarity (TF-IDF)
+ *
+ * This file compares free-text answers with TF-IDF weighted cosine similarity, computed entirely in
+ * Apps Script. The scoring model uses it to compare what a leader is looking for
+ * (`teammate_looking_for`) with how a member describes themselves (`teammate_desribe_yourself`).
+ *
+ * ✅ Usage:
+ *   - Give the "lookingForSimilarity" feature a weight in the "Scoring Weights" sheet (e.g., 5); its raw
+ *     value is between 0 (nothing in common) and 1 (same wording).
+ *   - `textSimilarity(textA, textB, buildTfIdfIndex(documents))` compares any two texts directly.
+ *
+ * ⚠️ Notes:
+ *   - Document frequencies come from every leader's and member's free-text answers in the matchmaking
+ *     sheet, so words everyone uses ("team", "startup") count for little and rare shared words count a lot.
+ *   - Tokens are lowercased words with common stop words removed and a plural "s" stripped; there is no
+ *     deeper stemming or synonym handling.
+ */
+
+/**
+ * Returns the stop words ignored when tokenizing.
+ *
+ * @returns {Set<string>} - Lowercase stop words.
+ */
+function getStopWords() {
+  return new Set([
+    "a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "from", "has", "have", "i", "im", "in",
+    "is", "it", "its", "me", "my", "of", "on", "or", "our", "so", "that", "the", "their", "them", "they",
+    "this", "to", "us", "was", "we", "who", "will", "with", "you", "your", "am", "someone", "looking"
+  ]);
+}
+
+/**
+ * Splits text into lowercase word tokens, dropping stop words and stripping a plural "s".
+ *
+ * @param {string} text - The text to tokenize.
+ * @returns {Array<string>} - Tokens in order (duplicates kept).
+ */
+function tokenizeText(text) {
+  const stopWords = getStopWords();
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !stopWords.has(token))
+    .map(token => token.length > 3 && token.endsWith("s") && !token.endsWith("ss") ? token.slice(0, -1) : token);
+}
+
+/**
+ * Builds inverse document frequencies from a set of documents.
+ *
+ * @param {Array<string>} documents - The texts that make up the corpus.
+ * @returns {{idf: Object, numDocuments: number}} - Terms mapped to their smoothed IDF, and the corpus size.
+ */
+function buildTfIdfIndex(documents) {
+  const documentFrequency = {};
+  documents.forEach(document => {
+    new Set(tokenizeText(document)).forEach(token => documentFrequency[token] = (documentFrequency[token] || 0) + 1);
+  });
+
+  const idf = {};
+  Object.entries(documentFrequency).forEach(([token, frequency]) => {
+    idf[token] = Math.log((1 + documents.length) / (1 + frequency)) + 1;
+  });
+  return { idf, numDocuments: documents.length };
+}
+
+/**
+ * Converts text into a TF-IDF vector. Terms missing from the corpus get the highest possible IDF.
+ *
+ * @param {string} text - The text to vectorize.
+ * @param {Object} index - The index from `buildTfIdfIndex()`.
+ * @returns {Object} - Terms mapped to their TF-IDF weights.
+ */
+function tfIdfVector(text, index) {
+  const unseenIdf = Math.log(1 + index.numDocuments) + 1;
+  const vector = {};
+  tokenizeText(text).forEach(token => vector[token] = (vector[token] || 0) + 1);
+  Object.keys(vector).forEach(token => vector[token] *= index.idf[token] || unseenIdf);
+  return vector;
+}
+
+/**
+ * Returns the cosine similarity of two sparse vectors.
+ *
+ * @param {Object} a - Terms mapped to weights.
+ * @param {Object} b - Terms mapped to weights.
+ * @returns {number} - Similarity between 0 and 1 (0 if either vector is empty).
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  Object.entries(a).forEach(([token, weight]) => {
+    if (b[token]) dot += weight * b[token];
+  });
+  const norm = vector => Math.sqrt(Object.values(vector).reduce((sum, weight) => sum + weight * weight, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator === 0 ? 0 : dot / denominator;
+}
+
+/**
+ * Compares two texts with TF-IDF cosine similarity.
+ *
+ * @param {string} textA - The first text.
+ * @param {string} textB - The second text.
+ * @param {Object} index - The index from `buildTfIdfIndex()`.
+ * @returns {number} - Similarity between 0 and 1.
+ */
+function textSimilarity(textA, textB, index) {
+  return cosineSimilarity(tfIdfVector(textA, index), tfIdfVector(textB, index));
+}
+
+/**
+ * Returns the TF-IDF index over the matchmaking sheet's free-text answers, building it on first use.
+ *
+ * @param {Object} model - The scoring model, used to cache the index.
+ * @param {Object} columnIndices - An object mapping column names to their indices (output from validateSheet()).
+ * @returns {Object} - The index from `buildTfIdfIndex()`.
+ */
+function getTextIndex(model, columnIndices) {
+  if (!model.textIndex) {
+    const documents = [];
+    const config = getConfig();
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(config[getMatchmakingSheetKey(config)]);
+    if (sheet) {
+      sheet.getDataRange().getValues().slice(1).forEach(row => {
+        documents.push(row[columnIndices['teammate_desribe_yourself']], row[columnIndices['teammate_looking_for']]);
+      });
+    } else {
+      Logger.log("Matchmaking sheet not found. Text similarity uses an empty corpus.");
+    }
+    model.textIndex = buildTfIdfIndex(documents.filter(document => String(document || "").trim()));
+  }
+  return model.textIndex;
+}
@@ -0,0 +1,202 @@
+/**
+ * Time-Slot Model
+ *
+ * This file turns availability labels like "10am-11am" and slot keys like "Mon 10am-11am" into
+ * start/end minutes, so slots can be compared, merged into contiguous blocks and searched for
+ * windows longer than a single form slot (e.g., a 2-hour workshop).
+ *
+ * ✅ Usage:
+ *   - `parseTimeRange("10am-11:30am")` → `{ start: 600, end: 690 }` (minutes after midnight).
+ *   - `parseSlotKey("Mon 10am-11am")` → `{ day: "Mon", start: 600, end: 660 }`.
+ *   - `mergeContiguousSlots(["10am-11am", "11am-12pm"])` → `[{ start: 600, end: 720 }]`.
+ *   - `findAvailableWindows(slots, 120)` turns a time slot dictionary into one keyed by 2-hour windows
+ *     (e.g., "Mon 10am-12pm"), keeping only students available for the whole window.
+ *
+ * ⚠️ Notes:
+ *   - Labels that cannot be parsed are ignored by the merging and window functions.
+ *   - Windows start at the start time of any form slot on that day.
+ */
+
+/**
+ * Parses a clock time such as "10am", "12pm" or "1:30pm" into minutes after midnight.
+ *
+ * @param {string} text - The clock time.
+ * @returns {number|null} - Minutes after midnight, or null if the text is not a clock time.
+ */
+function parseClockTime(text) {
+  const match = String(text).trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)$/);
+  if (!match) return null;
+
+  const hours = Number(match[1]) % 12 + (match[3] === "pm" ? 12 : 0);
+  const minutes = Number(match[2] || 0);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Formats minutes after midnight as a clock time in the form's style ("10am", "1:30pm").
+ *
+ * @param {number} totalMinutes - Minutes after midnight.
+ * @returns {string} - The formatted clock time.
+ */
+function formatClockTime(totalMinutes) {
+  const hours24 = Math.floor(totalMinutes / 60) % 24;
+  const minutes = totalMinutes % 60;
+  const suffix = hours24 < 12 ? "am" : "pm";
+  const hours12 = hours24 % 12 === 0 ? 12 : hours24 % 12;
+  return minutes === 0 ? `${hours12}${suffix}` : `${hours12}:${String(minutes).padStart(2, "0")}${suffix}`;
+}
+
+/**
+ * Parses a time range label such as "10am-11am" into start and end minutes.
+ *
+ * @param {string} label - The time range label.
+ * @returns {{start: number, end: number}|null} - Start and end in minutes after midnight, or null if invalid.
+ */
+function parseTimeRange(label) {
+  const parts = String(label).split("-");
+  if (parts.length !== 2) return null;
+
+  const start = parseClockTime(parts[0]);
+  const end = parseClockTime(parts[1]);
+  if (start === null || end === null || end <= start) return null;
+  return { start, end };
+}
+
+/**
+ * Formats start and end minutes as a time range label ("10am-11:30am").
+ *
+ * @param {number} start - Start in minutes after midnight.
+ * @param {number} end - End in minutes after midnight.
+ * @returns {string} - The time range label.
+ */
+function formatTimeRange(start, end) {
+  return `${formatClockTime(start)}-${formatClockTime(end)}`;
+}
+
+/**
+ * Parses a scheduling key such as "Mon 10am-11am" into its day and time range.
+ *
+ * @param {string} key - The time slot key.
+ * @returns {{day: string, start: number, end: number}|null} - The parsed slot, or null if invalid.
+ */
+function parseSlotKey(key) {
+  const [day, label] = String(key).trim().split(/\s+/);
+  const range = parseTimeRange(label || "");
+  if (!day || !range) return null;
+  return { day, start: range.start, end: range.end };
+}
+
+/**
+ * Returns true if two time slot keys are on the same day and their time ranges overlap.
+ *
+ * @param {string} keyA - The first time slot key.
+ * @param {string} keyB - The second time slot key.
+ * @returns {boolean} - Whether the slots overlap. Unparseable keys only overlap if they are identical.
+ */
+function slotsOverlap(keyA, keyB) {
+  const a = parseSlotKey(keyA);
+  const b = parseSlotKey(keyB);
+  if (!a || !b) return keyA === keyB;
+  return a.day === b.day && a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Merges time range labels into sorted, non-overlapping contiguous blocks.
+ *
+ * @param {Array<string>} labels - Time range labels (e.g., ["10am-11am", "11am-12pm", "2pm-3pm"]).
+ * @returns {Array<{start: number, end: number}>} - Merged blocks (e.g., 10am-12pm and 2pm-3pm).
+ */
+function mergeContiguousSlots(labels) {
+  const ranges = labels.map(parseTimeRange).filter(range => range).sort((a, b) => a.start - b.start);
+  const blocks = [];
+  ranges.forEach(range => {
+    const last = blocks[blocks.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      blocks.push({ start: range.start, end: range.end });
+    }
+  });
+  return blocks;
+}
+
+/**
+ * Returns true if the given availability labels cover the whole requested time range.
+ *
+ * @param {Array<string>} labels - A student's availability labels for one day.
+ * @param {string} rangeLabel - The requested range (e.g., "10am-12pm").
+ * @returns {boolean} - Whether one contiguous block of availability contains the range.
+ */
+function isAvailableForRange(labels, rangeLabel) {
+  const range = parseTimeRange(rangeLabel);
+  if (!labels || !range) return false;
+  return mergeContiguousSlots(labels).some(block => block.start <= range.start && range.end <= block.end);
+}
+
+/**
+ * Converts a time slot dictionary into a dictionary of windows of the given duration. A student is
+ * listed under a window only if their contiguous availability covers the entire window.
+ *
+ * @param {Object} slots - A dictionary of time slots ("Mon 10am-11am") to student email lists.
+ * @param {number} durationMinutes - Length of each window in minutes (e.g., 90 or 120).
+ * @returns {Object} - A dictionary of windows ("Mon 10am-11:30am") to student email lists.
+ */
+function findAvailableWindows(slots, durationMinutes) {
+  const labelsByStudentDay = {}; // "day|email" -> labels
+  const startsByDay = {};
+
+  Object.keys(slots).forEach(key => {
+    const slot = parseSlotKey(key);
+    if (!slot) return;
+    const label = formatTimeRange(slot.start, slot.end);
+    (startsByDay[slot.day] = startsByDay[slot.day] || new Set()).add(slot.start);
+    slots[key].forEach(email => {
+      const id = `${slot.day}|${email}`;
+      (labelsByStudentDay[id] = labelsByStudentDay[id] || []).push(label);
+    });
+  });
+
+  const blocksByStudentDay = {};
+  Object.entries(labelsByStudentDay).forEach(([id, labels]) => blocksByStudentDay[id] = mergeContiguousSlots(labels));
+
+  // List windows in week order, followed by any day labels that are not weekdays
+  const weekOrder = getAvailabilityDays().map(({ short }) => short);
+  const days = Object.keys(startsByDay).sort((a, b) => {
+    const indexA = weekOrder.includes(a) ? weekOrder.indexOf(a) : weekOrder.length;
+    const indexB = weekOrder.includes(b) ? weekOrder.indexOf(b) : weekOrder.length;
+    return indexA - indexB;
+  });
+
+  const windows = {};
+  days.forEach(day => {
+    [...startsByDay[day]].sort((a, b) => a - b).forEach(start => {
+      const end = start + durationMinutes;
+      const emails = Object.entries(blocksByStudentDay)
+        .filter(([id, blocks]) => id.startsWith(`${day}|`) && blocks.some(block => block.start <= start && end <= block.end))
+        .map(([id]) => id.slice(day.length + 1));
+      if (emails.length > 0) windows[`${day} ${formatTimeRange(start, end)}`] = emails;
+    });
+  });
+
+  return windows;
+}
+
+/**
+ * Summarizes slot keys as contiguous blocks per day, in week order (e.g., ["Mon 10am-11am", "Mon 11am-12pm"]
+ * becomes ["Mon 10am-12pm"]).
+ *
+ * @param {Array<string>} keys - Slot keys (e.g., "Mon 10am-11am").
+ * @returns {Array<string>} - One key per contiguous block.
+ */
+function summarizeSlotKeys(keys) {
+  const labelsByDay = {};
+  keys.forEach(key => {
+    const slot = parseSlotKey(key);
+    if (slot) (labelsByDay[slot.day] = labelsByDay[slot.day] || []).push(formatTimeRange(slot.start, slot.end));
+  });
+
+  const weekOrder = getAvailabilityDays().map(({ short }) => short);
+  return Object.keys(labelsByDay)
+    .sort((a, b) => weekOrder.indexOf(a) - weekOrder.indexOf(b))
+    .flatMap(day => mergeContiguousSlots(labelsByDay[day]).map(block => `${day} ${formatTimeRange(block.start, block.end)}`));
+}
@@ -0,0 +1,175 @@
+/**
+ * Match Delivery Check
+ *
+ * Runs `deliverMatchDocs()` from apps-script/match-delivery.js outside Apps Script, with in-memory sheets and
+ * fake mail and sharing services, to check that previews send nothing, resends skip students who already
+ * have their current doc, and failed sends are logged and retried.
+ *
+ * ✅ Usage:
+ *   - `node --test tests/` (or `node tests/match-delivery.test.js`) with Node 18 or later; nothing to install.
+ *
+ * ⚠️ Notes:
+ *   - Every apps-script/*.js file is loaded into one shared scope, as Apps Script does, so the check
+ *     fails if any of them no longer parses.
+ *   - Only the parts of SpreadsheetApp, Logger, Utilities, Session and PropertiesService that delivery uses
+ *     are faked; there is no "Config" sheet, so the default email templates are used.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const APPS_SCRIPT_DIR = path.join(__dirname, '..', 'apps-script');
+const LEADER_LINKS = [
+  ['Leader Email', 'First Name', 'Document Link', 'Content Fingerprint', 'Updated At', 'Status'],
+  ['lea@usc.edu', 'Lea', 'https://docs.google.com/document/d/docLea', 'f1', '', ''],
+  ['gone@usc.edu', 'Gus', 'https://docs.google.com/document/d/docGus', '', '', 'Withdrawn']
+];
+const MEMBER_LINKS = [
+  ['Leader Email', 'First Name', 'Document Link', 'Content Fingerprint', 'Updated At', 'Status'],
+  ['max@usc.edu', 'Max', 'https://docs.google.com/document/d/docMax', 'f2', '', '']
+];
+
+/**
+ * Creates an in-memory sheet with the Sheet methods delivery uses.
+ *
+ * @param {string} name - The sheet name.
+ * @param {Array<Array>} rows - The initial rows.
+ * @returns {Object} - The fake sheet; its rows are in `rows`.
+ */
+function createFakeSheet(name, rows) {
+  const sheet = {
+    rows: rows.map(row => row.slice()),
+    getName: () => name,
+    getLastRow: () => sheet.rows.length,
+    getDataRange: () => ({ getValues: () => sheet.rows.map(row => row.slice()) }),
+    appendRow: row => { sheet.rows.push(row.slice()); },
+    clear: () => { sheet.rows = []; },
+    getRange: (row, column) => ({
+      setValues: values => values.forEach((valueRow, i) => {
+        while (sheet.rows.length < row + i) sheet.rows.push([]);
+        valueRow.forEach((value, j) => sheet.rows[row - 1 + i][column - 1 + j] = value);
+      })
+    })
+  };
+  return sheet;
+}
+
+/**
+ * Loads the Apps Script files into a fresh scope with the links sheets and fake services.
+ *
+ * @returns {{scope: Object, sheets: Object, sent: Array<Array>, shared: Array<string>, failing: Set<string>}} -
+ *   The scope, the sheets by name, the sent emails as `[to, subject, body]`, the shares as "fileId:email",
+ *   and the emails the fake mail service throws for (add or remove to control failures).
+ */
+function createDeliveryEnv() {
+  const sheets = {
+    'Match Docs Links': createFakeSheet('Match Docs Links', LEADER_LINKS),
+    'Member Match Docs Links': createFakeSheet('Member Match Docs Links', MEMBER_LINKS)
+  };
+  const spreadsheet = {
+    getSheetByName: name => sheets[name] || null,
+    insertSheet: name => (sheets[name] = createFakeSheet(name, []))
+  };
+  const properties = {};
+  const scope = vm.createContext({
+    console,
+    Logger: { log: () => {} },
+    SpreadsheetApp: { getActiveSpreadsheet: () => spreadsheet },
+    Session: { getScriptTimeZone: () => 'America/Los_Angeles' },
+    Utilities: { formatDate: date => date.toISOString() },
+    PropertiesService: {
+      getScriptProperties: () => ({
+        getProperty: key => (key in properties ? properties[key] : null),
+        setProperty: (key, value) => { properties[key] = String(value); }
+      })
+    }
+  });
+  fs.readdirSync(APPS_SCRIPT_DIR).filter(file => file.endsWith('.js')).sort().forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(APPS_SCRIPT_DIR, file), 'utf8'), scope, { filename: file });
+  });
+
+  const sent = [];
+  const shared = [];
+  const failing = new Set();
+  scope.mailService = {
+    sendEmail: (to, subject, body) => {
+      if (failing.has(to)) throw new Error('Service unavailable');
+      sent.push([to, subject, body]);
+    }
+  };
+  scope.driveService = { addViewer: (fileId, email) => shared.push(`${fileId}:${email}`) };
+  return { scope, sheets, sent, shared, failing };
+}
+
+/**
+ * Runs `deliverMatchDocs()` in the scope with the fake services.
+ *
+ * @param {Object} scope - The scope from `createDeliveryEnv()`.
+ * @param {boolean} [dryRun=false] - Preview instead of sending.
+ * @returns {Object} - The summary returned by `deliverMatchDocs()`.
+ */
+function deliver(scope, dryRun = false) {
+  scope.dryRun = dryRun;
+  return vm.runInContext('deliverMatchDocs({ dryRun, mailService, driveService })', scope);
+}
+
+/**
+ * Returns the delivery log rows keyed by email.
+ *
+ * @param {Object} sheets - The sheets from `createDeliveryEnv()`.
+ * @returns {Object} - Emails mapped to `{ docUrl, status, attempts, error }`.
+ */
+function readLog(sheets) {
+  const entries = {};
+  sheets['Match Delivery Log'].rows.slice(1).forEach(([email, , docUrl, status, , , attempts, error]) => {
+    entries[email] = { docUrl, status, attempts, error };
+  });
+  return entries;
+}
+
+test('a dry run writes previews and neither shares nor sends', () => {
+  const { scope, sheets, sent, shared } = createDeliveryEnv();
+  const summary = deliver(scope, true);
+
+  assert.deepStrictEqual({ ...summary }, { sent: 0, failed: 0, skipped: 0, previewed: 2 });
+  assert.strictEqual(sent.length, 0);
+  assert.strictEqual(shared.length, 0);
+  const previews = sheets['Email Preview'].rows;
+  assert.deepStrictEqual(previews.map(row => row[0]), ['To', 'lea@usc.edu', 'max@usc.edu']);
+  assert.ok(previews[1][3].includes('https://docs.google.com/document/d/docLea'));
+  assert.deepStrictEqual(Object.keys(readLog(sheets)), []);
+});
+
+test('a resend skips students already sent the same doc and sends changed links', () => {
+  const { scope, sheets, sent, shared } = createDeliveryEnv();
+  assert.deepStrictEqual({ ...deliver(scope) }, { sent: 2, failed: 0, skipped: 0, previewed: 0 });
+  assert.deepStrictEqual(shared, ['docLea:lea@usc.edu', 'docMax:max@usc.edu']);
+
+  assert.deepStrictEqual({ ...deliver(scope) }, { sent: 0, failed: 0, skipped: 2, previewed: 0 });
+  assert.strictEqual(sent.length, 2);
+
+  sheets['Member Match Docs Links'].rows[1][2] = 'https://docs.google.com/document/d/docMax2';
+  assert.deepStrictEqual({ ...deliver(scope) }, { sent: 1, failed: 0, skipped: 1, previewed: 0 });
+  assert.strictEqual(sent[2][0], 'max@usc.edu');
+  assert.strictEqual(readLog(sheets)['max@usc.edu'].docUrl, 'https://docs.google.com/document/d/docMax2');
+});
+
+test('a failed send is logged and retried on the next run', () => {
+  const { scope, sheets, sent, failing } = createDeliveryEnv();
+  failing.add('max@usc.edu');
+  assert.deepStrictEqual({ ...deliver(scope) }, { sent: 1, failed: 1, skipped: 0, previewed: 0 });
+  const failed = readLog(sheets)['max@usc.edu'];
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failed.attempts, 1);
+  assert.strictEqual(failed.error, 'Service unavailable');
+
+  failing.clear();
+  assert.deepStrictEqual({ ...deliver(scope) }, { sent: 1, failed: 0, skipped: 1, previewed: 0 });
+  const retried = readLog(sheets)['max@usc.edu'];
+  assert.strictEqual(retried.status, 'sent');
+  assert.strictEqual(retried.attempts, 2);
+  assert.deepStrictEqual(sent.map(([to]) => to), ['lea@usc.edu', 'max@usc.edu']);
+});